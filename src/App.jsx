@@ -1,6 +1,7 @@
 // ============================================================
 // FOUNDER MATH LAB — Explorable Explanation
-// Single React JSX artifact — all components inline
+// Single React JSX artifact — all components inline; the model they
+// drive lives in model.js
 // ============================================================
 //
 // AI Integration Config:
@@ -21,27 +22,37 @@
 import React, {
   useState, useMemo, useCallback, useRef, useEffect, memo,
 } from 'react';
+import {
+  fmt, SCHEMA_VERSION, normalizeWorkspace, migrateWorkspace, parseWorkspaceFile,
+  serializeWorkspace, SHARE_PREFIX, modelsEqual, encodeShareHash, decodeShareHash, DEFAULTS,
+  SEGMENT_DEFAULTS, FINANCING_DEFAULTS, HIRE_DEFAULTS, COST_DEFAULTS, CHANNEL_DEFAULTS,
+  SEGMENT_SPECS, RAMP_MODELS, RAMP_SPECS, newSegmentId, INSTRUMENTS, isConvertible,
+  FINANCING_CONDITIONS, FINANCING_SPECS, valuationSpec, SERIES_LADDER, PARTICIPATION, EXIT_SPECS,
+  COST_CATEGORIES, BURN_SPECS, CHANNEL_SPECS, newFinancingId, newHireId, newCostId, newChannelId,
+  PARAM_SPECS, LTV_HORIZON_SPEC, PROJECTION_SPEC, UNCERTAINTY_SPECS, activeParams, SLICE_ACTIONS,
+  SCENARIO_PRESETS, monthlyPriceOf, retentionKeep, normalizeRetentionCurve, parseRetentionCurve,
+  cohortCurve, channelEconomics, channelsFromPresets, projectRunway, burnAt, EFFICIENCY_BENCHMARKS,
+  EFFICIENCY_MIN_ARR, efficiencyStatus, scoreHorizon, simulateRunway, createSimWorker,
+  buildCapTable, exitWaterfall, computeScore, formatRunway, checkModuleComplete, OUTPUT_METRICS,
+  SENSITIVITY_METRICS, runSensitivity, goalSeek, optimizeModel, PROJECTION_COLUMNS,
+  buildProjection,
+} from './model.js';
 
 // ── AI Config ───────────────────────────────────────────────
 const AI_PROVIDER = 'none'; // "anthropic" | "openai" | "none"
 const AI_MODELS = { anthropic: 'claude-opus-4-5', openai: 'gpt-4o-mini' };
 
-// ── Formatters ───────────────────────────────────────────────
-const fmt = {
-  currency: (n) => {
-    if (n == null || isNaN(n)) return '$—';
-    const abs = Math.abs(n);
-    const sign = n < 0 ? '-' : '';
-    if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(1)}B`;
-    if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
-    if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`;
-    return `${sign}$${abs.toFixed(0)}`;
-  },
-  pct: (n, d = 1) => `${Number(n).toFixed(d)}%`,
-  months: (n) => `${Math.round(n)} mo`,
-  ratio: (n) => `${Number(n).toFixed(1)}x`,
-  num: (n) => Number(n).toLocaleString(),
-};
+// ── Input parsing ─────────────────────────────────────────────
+// Parses typed numbers like "$1.5M", "20%", "800" or "2b"
+function parseNumberInput(str) {
+  const cleaned = str.replace(/[$,%BMKbmk\s]/g, '');
+  let parsed = parseFloat(cleaned);
+  // Handle B/M/K suffix
+  if (/[Bb]$/.test(str)) parsed *= 1e9;
+  else if (/[Mm]$/.test(str)) parsed *= 1e6;
+  else if (/[Kk]$/.test(str)) parsed *= 1e3;
+  return parsed;
+}
 
 // ── LocalStorage persistence helpers ─────────────────────────
 // Reads a stored JSON value and merges it with defaults so that any
@@ -54,56 +65,77 @@ const LS_KEYS = {
   module: 'fml_module_v1',
   screen: 'fml_screen_v1',
   seenDecks: 'fml_seen_decks_v1',
+  scenarios: 'fml_scenarios_v1',
+  schema: 'fml_schema_version',
+  rejected: 'fml_rejected_backup',
 };
 
-function loadState(key, defaults) {
-  try {
-    const raw = localStorage.getItem(key);
-    if (!raw) return defaults;
-    // Spread defaults first so any newly-added fields still get values
-    return { ...defaults, ...JSON.parse(raw) };
-  } catch {
-    return defaults;
-  }
-}
-
+// Returns whether the value was written
 function saveState(key, value) {
   try {
     localStorage.setItem(key, JSON.stringify(value));
+    return true;
   } catch { /* storage full or blocked — fail silently */ }
+  return false;
 }
 
-// ── Default State (mediocre ~42 score to start) ───────────────
-const DEFAULTS = {
-  market: {
-    tam: 5_000_000_000,   // $5B — OK but not massive
-    samPct: 15,            // 15% reachable
-    somPct: 8,             // 8% SOM — suspiciously optimistic → Warning
-    horizon: 5,            // 5 years
-    targetARR: 10_000_000, // $10M ARR goal
-  },
-  unit: {
-    price: 99,             // $99/mo — low for B2B
-    billing: 'monthly',    // 'monthly' | 'annual'
-    grossMargin: 55,       // 55% — below SaaS norms (70%+)
-    cac: 800,              // $800 CAC — high for this price
-    churnMonthly: 5,       // 5% monthly churn — painful
-  },
-  runway: {
-    startingCash: 1_500_000,   // $1.5M seed
-    totalMonthlyBurn: 120_000, // $120K/mo burn
-    burnHeadcount: 60,         // 60% headcount
-    burnInfra: 20,             // 20% infra
-    burnOps: 20,               // 20% ops
-    monthlyRevenue: 15_000,    // $15K MRR
-    revenueGrowthMoM: 8,       // 8% MoM growth
-    fundraiseMonth: 0,         // no planned raise
-    fundraiseAmount: 0,
-    safeCapPercent: 20,        // 20% SAFE dilution
-    optionPool: 15,            // 15% option pool
-  },
+const readStored = (key) => {
+  const raw = localStorage.getItem(key);
+  return raw == null ? undefined : JSON.parse(raw);
 };
 
+// ── Workspace persistence ─────────────────────────────────────
+// localStorage goes through the same migrations as files. Storage that
+// predates the version key is v1. If it fails validation the app starts
+// from DEFAULTS, and the unreadable data is parked under a backup key
+// rather than silently overwritten; `rejected` carries the reasons so the
+// app can say so.
+// Returns { workspace, rejected: null | { errors: [string] } }
+function loadWorkspace() {
+  let errors;
+  try {
+    const version = readStored(LS_KEYS.schema) ?? 1;
+    const raw = version === 1
+      ? {
+          version,
+          workspace: {
+            module: localStorage.getItem(LS_KEYS.module) ?? undefined,
+            seenDecks: readStored(LS_KEYS.seenDecks),
+            market: readStored(LS_KEYS.market),
+            unit: readStored(LS_KEYS.unit),
+            runway: readStored(LS_KEYS.runway),
+            scenarios: readStored(LS_KEYS.scenarios),
+          },
+        }
+      : {
+          version,
+          workspace: {
+            module: readStored(LS_KEYS.module),
+            seenDecks: readStored(LS_KEYS.seenDecks),
+            scenarios: readStored(LS_KEYS.scenarios),
+          },
+        };
+    if (version === 1 && Object.values(raw.workspace).every(v => v === undefined)) {
+      return { workspace: normalizeWorkspace({}), rejected: null }; // first visit
+    }
+    const result = migrateWorkspace(raw);
+    if (result.ok) return { workspace: result.workspace, rejected: null };
+    errors = result.errors;
+  } catch (err) {
+    errors = [`Unreadable: ${err.message}`];
+  }
+  try {
+    const keys = ['schema', 'module', 'seenDecks', 'market', 'unit', 'runway', 'scenarios'];
+    saveState(LS_KEYS.rejected, Object.fromEntries(keys.map(k => [k, localStorage.getItem(LS_KEYS[k])])));
+  } catch { /* storage blocked — nothing to keep */ }
+  return { workspace: normalizeWorkspace({}), rejected: { errors } };
+}
+
+const newScenarioId = () => `sc_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+
+// Line colours for scenarios, by position in the scenario list
+const SCENARIO_COLORS = ['#818cf8', '#f59e0b', '#22c55e', '#f87171', '#38bdf8', '#e879f9', '#facc15'];
+
 // ── Flashcard Decks ───────────────────────────────────────────
 const FLASHCARD_DECKS = {
   1: [
@@ -144,192 +176,588 @@ const FLASHCARD_DECKS = {
   ],
 };
 
-// ── Scoring Engine ────────────────────────────────────────────
-// Returns { score: 0-100, flags: [{id, module, severity, msg, detail, fix}] }
-// Heuristics are investor-grade rules of thumb, not magic formulas.
-function computeScore(market, unit, runway) {
-  const flags = [];
-  let score = 0;
-
-  // ── MODULE 1: Market ──────────────────────────────────────
-  const sam = market.tam * (market.samPct / 100);
-  const som = sam * (market.somPct / 100);
-
-  // TAM size: venture requires meaningful exit potential
-  if (market.tam >= 10_000_000_000) score += 20;
-  else if (market.tam >= 1_000_000_000) score += 13;
-  else {
-    flags.push({
-      id: 'tam_small', module: 1, severity: 'critical',
-      msg: 'TAM too small for venture',
-      detail: `$${(market.tam / 1e6).toFixed(0)}M TAM limits exit size. VCs need $1B+ markets.`,
-      fix: 'Reframe your market. Think total category, not initial niche.',
-    });
-  }
+// ── File export helpers ───────────────────────────────────────
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  // SOM realism: capturing >10% of SAM quickly is a red flag
-  if (market.somPct <= 5) score += 15;
-  else if (market.somPct <= 10) score += 8;
-  else {
-    flags.push({
-      id: 'som_high', module: 1, severity: 'warning',
-      msg: `SOM ${market.somPct}% of SAM is aggressive`,
-      detail: `Most B2B SaaS companies capture 3–8% of SAM in 5 years.`,
-      fix: `Drop SOM to 5–8% and back it with a clear GTM sequence.`,
-    });
-  }
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function projectionCSV({ months, subtotals }) {
+  const quote = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const line = (cells) => cells.map(quote).join(',');
+  const keys = PROJECTION_COLUMNS.map(c => c.key);
+  return [
+    line(PROJECTION_COLUMNS.map(c => c.label)),
+    ...months.map(r => line(keys.map(k => (k === 'month' ? r.month : round2(r[k]))))),
+    '',
+    ...subtotals.map(t => line(keys.map(k => (k === 'month' ? t.label : round2(t[k]))))),
+  ].join('\n') + '\n';
+}
 
-  // SOM absolute: should be meaningful
-  if (som >= 100_000_000) score += 10;
-  else if (som >= 30_000_000) score += 5;
-  else {
-    flags.push({
-      id: 'som_abs', module: 1, severity: 'warning',
-      msg: `SOM ${fmt.currency(som)} too small`,
-      detail: 'Venture-backed startups need a path to $100M+ revenue.',
-      fix: 'Expand TAM definition or justify why a larger share is reachable.',
-    });
+// ── Minimal XLSX writer ───────────────────────────────────────
+// An .xlsx is a zip of SpreadsheetML parts. This writes one sheet with
+// inline strings, formulas (with cached values so previews show numbers)
+// and three styles, packed into an uncompressed ("stored") zip.
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
   }
+  return table;
+})();
 
-  // ── MODULE 2: Unit Economics ──────────────────────────────
-  const monthlyPrice = unit.billing === 'monthly' ? unit.price
-    : unit.billing === 'quarterly' ? unit.price / 3
-    : unit.price / 12;
-  const grossRevPerMonth = monthlyPrice * (unit.grossMargin / 100);
-  const churnRate = unit.churnMonthly / 100;
-  const ltv = churnRate > 0 ? grossRevPerMonth / churnRate : 999_999;
-  const payback = grossRevPerMonth > 0 ? unit.cac / grossRevPerMonth : 999;
-  const ltvCac = unit.cac > 0 ? ltv / unit.cac : 0;
-  const avgLifespanMonths = churnRate > 0 ? 1 / churnRate : 999;
-
-  // LTV/CAC: the core SaaS efficiency metric
-  if (ltvCac >= 5) score += 20;
-  else if (ltvCac >= 3) score += 12;
-  else if (ltvCac >= 2) score += 5;
-  else {
-    flags.push({
-      id: 'ltvcac_low', module: 2, severity: 'critical',
-      msg: `LTV/CAC ${fmt.ratio(ltvCac)} — below minimum`,
-      detail: 'Below 3x means you spend more acquiring customers than you recover in profit.',
-      fix: 'Raise price, reduce churn, or cut CAC. Target 3x minimum, 5x for A-round.',
-    });
-  }
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
 
-  // Payback period: shorter = better capital efficiency
-  if (payback <= 6) score += 15;
-  else if (payback <= 12) score += 8;
-  else {
-    flags.push({
-      id: 'payback_long', module: 2, severity: 'warning',
-      msg: `Payback ${Math.round(payback)} months`,
-      detail: `It takes ${Math.round(payback)} months to recover CAC. >12mo is a cash flow risk.`,
-      fix: 'Lower CAC via product-led growth, or raise price/reduce COGS.',
-    });
+// files: [{ name, data: string | Uint8Array }] → zip Blob
+function zipStore(files, mimeType) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);          // version needed
+    local.setUint16(6, 0x0800, true);      // UTF-8 names
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);          // version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
   }
 
-  // Gross margin: SaaS should be 70–80%+
-  if (unit.grossMargin >= 70) score += 10;
-  else if (unit.grossMargin >= 60) score += 5;
-  else {
-    flags.push({
-      id: 'margin_low', module: 2, severity: 'warning',
-      msg: `Gross margin ${unit.grossMargin}% — below SaaS norm`,
-      detail: 'SaaS benchmarks: 70–80%+. Lower margin limits R&D and S&M investment.',
-      fix: 'Audit COGS (support, hosting, third-party). Consider pricing strategy.',
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: mimeType });
+}
+
+const xmlEscape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const columnName = (i) => (i < 26 ? '' : columnName(Math.floor(i / 26) - 1)) + String.fromCharCode(65 + (i % 26));
+
+// Style indices into cellXfs below
+const XLSX_STYLE = { plain: 0, money: 1, bold: 2, boldMoney: 3 };
+
+const XLSX_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0;[Red]-&quot;$&quot;#,##0"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="4">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+// rows: arrays of cells { v, f?, s? } (null for empty). Row 1 is frozen.
+function buildXlsx({ sheetName, rows, colWidths = [] }) {
+  const cellXml = (cell, ref) => {
+    const style = cell.s ? ` s="${cell.s}"` : '';
+    if (typeof cell.v === 'string' && !cell.f) {
+      return `<c r="${ref}" t="inlineStr"${style}><is><t>${xmlEscape(cell.v)}</t></is></c>`;
+    }
+    const formula = cell.f ? `<f>${xmlEscape(cell.f)}</f>` : '';
+    return `<c r="${ref}"${style}>${formula}<v>${cell.v}</v></c>`;
+  };
+  const sheetData = rows.map((cells, r) => {
+    const xml = cells.map((cell, c) => (cell ? cellXml(cell, `${columnName(c)}${r + 1}`) : '')).join('');
+    return `<row r="${r + 1}">${xml}</row>`;
+  }).join('');
+  const cols = colWidths.length
+    ? `<cols>${colWidths.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+
+  const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+${cols}<sheetData>${sheetData}</sheetData>
+</worksheet>`;
+
+  return zipStore([
+    { name: '[Content_Types].xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>` },
+    { name: '_rels/.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>` },
+    { name: 'xl/workbook.xml', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+<calcPr fullCalcOnLoad="1"/>
+</workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>` },
+    { name: 'xl/styles.xml', data: XLSX_STYLES },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+  ], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+}
+
+// Lays the projection out as a live model: bookings, billings, revenue,
+// burn categories and raises are inputs; deferred revenue, gross/net
+// burn, opening/ending cash and every subtotal are formulas, so editing
+// an input in Excel flows through to ending cash.
+function projectionXlsx({ months, subtotals }) {
+  const col = Object.fromEntries(PROJECTION_COLUMNS.map((c, i) => [c.key, columnName(i)]));
+  const [firstBurn, lastBurn] = [col.headcount, col.marketing];
+  const header = PROJECTION_COLUMNS.map(c => ({ v: c.label, s: XLSX_STYLE.bold }));
+  const money = (v, f) => ({ v: round2(v), f, s: XLSX_STYLE.money });
+
+  const monthRows = months.map((r, i) => {
+    const n = i + 2; // sheet row; row 1 is the header
+    return PROJECTION_COLUMNS.map(({ key }) => {
+      switch (key) {
+        case 'month': return { v: r.month };
+        case 'openingCash': return money(r.openingCash, i === 0 ? undefined : `${col.endingCash}${n - 1}`);
+        case 'grossBurn': return money(r.grossBurn, `SUM(${firstBurn}${n}:${lastBurn}${n})`);
+        case 'deferred': return money(r.deferred, `${i === 0 ? '' : `${col.deferred}${n - 1}+`}${col.billings}${n}-${col.mrr}${n}`);
+        case 'netBurn': return money(r.netBurn, `${col.grossBurn}${n}-${col.billings}${n}`);
+        case 'endingCash': return money(r.endingCash, `${col.openingCash}${n}-${col.netBurn}${n}+${col.fundraise}${n}`);
+        default: return money(r[key]);
+      }
     });
-  }
+  });
 
-  // High churn destroys LTV
-  if (unit.churnMonthly >= 5) {
-    flags.push({
-      id: 'churn_high', module: 2, severity: 'warning',
-      msg: `Monthly churn ${unit.churnMonthly}% — very high`,
-      detail: `${unit.churnMonthly}% monthly = ${(100 - Math.pow(1 - unit.churnMonthly / 100, 12) * 100).toFixed(0)}% annual churn.`,
-      fix: 'Invest in onboarding and customer success. Target <2% monthly for B2B.',
+  const subtotalRows = subtotals.map(t => {
+    const [from, to] = [t.first + 1, t.last + 1];
+    return PROJECTION_COLUMNS.map(({ key }) => {
+      const c = col[key];
+      if (key === 'month') return { v: t.label, s: XLSX_STYLE.bold };
+      const f = key === 'openingCash' ? `${c}${from}`
+        : key === 'endingCash' || key === 'deferred' ? `${c}${to}`
+        : `SUM(${c}${from}:${c}${to})`;
+      return { v: round2(t[key]), f, s: XLSX_STYLE.boldMoney };
     });
+  });
+
+  return buildXlsx({
+    sheetName: 'Projection',
+    rows: [header, ...monthRows, [], ...subtotalRows],
+    colWidths: PROJECTION_COLUMNS.map(c => (c.key === 'month' ? 9 : 15)),
+  });
+}
+
+// ── Minimal PDF writer ────────────────────────────────────────
+// Just enough PDF 1.4 for a one-page vector report: filled and stroked
+// rects, lines, polylines, pie wedges (Bézier arcs) and text in the
+// built-in Helvetica faces, so no fonts need embedding. Callers work in
+// points with a top-left origin; y is flipped on write.
+
+// Helvetica / Helvetica-Bold advance widths for ASCII 32–126 (1/1000 em)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// WinAnsi codes (and widths) for the typographic characters the app's
+// copy uses; symbols with no WinAnsi glyph fall back to ASCII or drop out
+const WIN_ANSI = { '…': [0x85, 1000], '•': [0x95, 350], '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333], '–': [0x96, 556], '—': [0x97, 1000], '×': [0xD7, 584] };
+const PDF_FALLBACK = { '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '−': '-', '≈': '~' };
+
+function toWinAnsi(str) {
+  const codes = [];
+  for (const ch of String(str)) {
+    const code = ch.codePointAt(0);
+    if (code >= 32 && code <= 126) codes.push(code);
+    else if (WIN_ANSI[ch]) codes.push(WIN_ANSI[ch][0]);
+    else if (PDF_FALLBACK[ch]) codes.push(...[...PDF_FALLBACK[ch]].map(c => c.charCodeAt(0)));
+    else if (code >= 0xA0 && code <= 0xFF) codes.push(code);
   }
+  return codes;
+}
+
+const WIN_ANSI_WIDTHS = Object.fromEntries(Object.values(WIN_ANSI));
 
-  // ── MODULE 3: Runway ──────────────────────────────────────
-  let cash = runway.startingCash;
-  let rev = runway.monthlyRevenue;
-  let runwayMonths = 24; // assume survives if not found
-  let breakevenMonth = null;
-  const cashData = [cash];
-
-  for (let m = 1; m <= 24; m++) {
-    const netBurn = runway.totalMonthlyBurn - rev;
-    cash -= netBurn;
-    if (m === runway.fundraiseMonth && runway.fundraiseAmount > 0) {
-      cash += runway.fundraiseAmount;
+// PDF literal string body: parens and backslashes escaped, high bytes as octal
+const pdfString = (str) => toWinAnsi(str).map(c => {
+  if (c === 40 || c === 41 || c === 92) return `\\${String.fromCharCode(c)}`;
+  return c > 126 ? `\\${c.toString(8).padStart(3, '0')}` : String.fromCharCode(c);
+}).join('');
+
+function pdfTextWidth(str, size, bold = false) {
+  const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const units = toWinAnsi(str).reduce(
+    (sum, c) => sum + (c <= 126 ? table[c - 32] : WIN_ANSI_WIDTHS[c] ?? 556), 0);
+  return (units * size) / 1000;
+}
+
+function createPdfCanvas(width = 612, height = 792) {
+  const ops = [];
+  const num = (n) => String(Math.round(n * 100) / 100);
+  const pt = (x, y) => `${num(x)} ${num(height - y)}`;
+  const rgb = (hex) => {
+    const v = parseInt(hex.slice(1), 16);
+    return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map(c => num(c / 255)).join(' ');
+  };
+  // Sets up graphics state and returns the paint operator to close the path with
+  const paint = ({ fill, stroke, lineWidth = 1, dash } = {}) => {
+    ops.push('q');
+    if (fill) ops.push(`${rgb(fill)} rg`);
+    if (stroke) ops.push(`${rgb(stroke)} RG`, `${num(lineWidth)} w`, `[${(dash || []).join(' ')}] 0 d`, '1 J 1 j');
+    return fill && stroke ? 'B' : fill ? 'f' : 'S';
+  };
+  // Arc as cubic Béziers, ≤ 90° per segment; angles clockwise from 3 o'clock
+  const arc = (cx, cy, r, start, sweep) => {
+    const parts = [];
+    const n = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+    const step = sweep / n;
+    const k = (4 / 3) * Math.tan(step / 4);
+    for (let i = 0; i < n; i++) {
+      const a0 = start + i * step, a1 = a0 + step;
+      const [c0, s0, c1, s1] = [Math.cos(a0), Math.sin(a0), Math.cos(a1), Math.sin(a1)];
+      parts.push(`${pt(cx + r * (c0 - k * s0), cy + r * (s0 + k * c0))} ${pt(cx + r * (c1 + k * s1), cy + r * (s1 - k * c1))} ${pt(cx + r * c1, cy + r * s1)} c`);
     }
-    cashData.push(cash);
-    if (cash <= 0 && runwayMonths === 24) runwayMonths = m - 1;
-    if (netBurn <= 0 && breakevenMonth === null) breakevenMonth = m;
-    rev *= 1 + runway.revenueGrowthMoM / 100;
-  }
+    return parts.join(' ');
+  };
+  return {
+    width,
+    height,
+    ops,
+    rect(x, y, w, h, style) {
+      const op = paint(style);
+      ops.push(`${pt(x, y + h)} ${num(w)} ${num(h)} re ${op} Q`);
+    },
+    line(x1, y1, x2, y2, style) {
+      paint({ stroke: '#000000', ...style });
+      ops.push(`${pt(x1, y1)} m ${pt(x2, y2)} l S Q`);
+    },
+    polyline(points, { close = false, ...style } = {}) {
+      const op = paint(style);
+      const path = points.map(([x, y], i) => `${pt(x, y)} ${i ? 'l' : 'm'}`).join(' ');
+      ops.push(`${path}${close ? ' h' : ''} ${op} Q`);
+    },
+    // Pie slice from the centre; a full sweep draws a disc
+    wedge(cx, cy, r, start, sweep, style) {
+      const op = paint(style);
+      const full = Math.abs(sweep) >= 2 * Math.PI - 1e-6;
+      const from = full ? '' : `${pt(cx, cy)} m ${pt(cx + r * Math.cos(start), cy + r * Math.sin(start))} l `;
+      const move = full ? `${pt(cx + r * Math.cos(start), cy + r * Math.sin(start))} m ` : '';
+      ops.push(`${from}${move}${arc(cx, cy, r, start, sweep)} h ${op} Q`);
+    },
+    circle(cx, cy, r, style) {
+      this.wedge(cx, cy, r, 0, 2 * Math.PI, style);
+    },
+    // y is the text baseline
+    text(str, x, y, { size = 10, bold = false, color = '#111827', align = 'left' } = {}) {
+      const w = pdfTextWidth(str, size, bold);
+      const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      ops.push(`BT ${rgb(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${pt(left, y)} Td (${pdfString(str)}) Tj ET`);
+    },
+    // Greedy word wrap to lines no wider than maxWidth
+    wrap(str, maxWidth, size, bold = false) {
+      const lines = [];
+      let line = '';
+      for (const word of String(str).split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && pdfTextWidth(next, size, bold) > maxWidth) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = next;
+        }
+      }
+      if (line) lines.push(line);
+      return lines;
+    },
+  };
+}
+
+// Serialises a single-page canvas into a PDF file Blob
+function pdfDocument(canvas, title) {
+  const content = canvas.ops.join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${canvas.width} ${canvas.height}] /Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title (${pdfString(title)}) /Producer (Founder Math Lab) >>`,
+  ];
+  let out = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new Blob([out], { type: 'application/pdf' });
+}
+
+// ── Investor readiness report ─────────────────────────────────
+// One Letter page: score and module status, the four headline charts
+// redrawn from the same geometry helpers as their SVG/HTML versions,
+// the scored outputs from the breakdown, and every active flag with its
+// fix. Printed on white, so it uses a light palette of its own.
+const REPORT_COLORS = {
+  ink: '#111827', muted: '#6b7280', faint: '#9ca3af', rule: '#e5e7eb', panel: '#f9fafb',
+  good: '#16a34a', warn: '#d97706', bad: '#dc2626', accent: '#4f46e5', accentSoft: '#e0e7ff',
+};
+
+function buildReportPdf({ scenarioName, model, result, moduleCompletion }) {
+  const C = REPORT_COLORS;
+  const doc = createPdfCanvas();
+  const M = 40, W = doc.width - M * 2;
+  const { score, flags, breakdown, derived } = result;
+  const tierColor = (t) => ({ good: C.good, warn: C.warn, bad: C.bad }[t]);
+  const scoreColor = score >= 80 ? C.good : score >= 60 ? C.warn : score >= 40 ? '#ea580c' : C.bad;
+  const caption = (str, x, y) => doc.text(str.toUpperCase(), x, y, { size: 7, bold: true, color: C.muted });
+  const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+  // Header
+  doc.text('Investor Readiness Report', M, M + 16, { size: 20, bold: true });
+  doc.text(`${scenarioName} · ${date}`, M, M + 32, { size: 9, color: C.muted });
+  doc.text(String(score), M + W, M + 26, { size: 34, bold: true, color: scoreColor, align: 'right' });
+  doc.text('INVESTOR SCORE / 100', M + W, M + 38, { size: 7, bold: true, color: C.muted, align: 'right' });
+  doc.line(M, M + 50, M + W, M + 50, { stroke: C.rule });
+
+  // Module status
+  const modules = [[1, 'Market Size'], [2, 'Unit Economics'], [3, 'Runway + Dilution']];
+  const boxW = (W - 20) / 3;
+  modules.forEach(([id, label], i) => {
+    const x = M + i * (boxW + 10), y = M + 62;
+    const rules = breakdown.filter(b => b.module === id);
+    const earned = rules.reduce((sum, b) => sum + b.earned, 0);
+    const possible = rules.reduce((sum, b) => sum + b.possible, 0);
+    const critical = flags.filter(f => f.module === id && f.severity === 'critical').length;
+    const warnings = flags.filter(f => f.module === id && f.severity === 'warning').length;
+    const done = moduleCompletion[id];
+    doc.rect(x, y, boxW, 44, { fill: C.panel, stroke: C.rule, lineWidth: 0.5 });
+    doc.rect(x, y, 3, 44, { fill: done ? C.good : critical ? C.bad : C.warn });
+    doc.text(label, x + 12, y + 16, { size: 10, bold: true });
+    doc.text(`${earned} / ${possible} pts`, x + boxW - 10, y + 16, { size: 9, bold: true, color: C.accent, align: 'right' });
+    const status = done ? 'Ready'
+      : critical ? `${critical} critical issue${critical > 1 ? 's' : ''}`
+      : warnings ? `${warnings} warning${warnings > 1 ? 's' : ''}`
+      : 'In progress';
+    doc.text(status, x + 12, y + 33, { size: 8, color: done ? C.good : critical ? C.bad : C.warn });
+  });
 
-  const totalDilution = runway.safeCapPercent + runway.optionPool;
-  const founderOwnership = Math.max(0, 100 - totalDilution);
-
-  // Runway adequacy: 18+ months to close next round
-  if (runwayMonths >= 18) score += 20;
-  else if (runwayMonths >= 12) score += 10;
-  else if (runwayMonths >= 6) score += 3;
-  else {
-    flags.push({
-      id: 'runway_critical', module: 3, severity: 'critical',
-      msg: `Only ${runwayMonths} months of runway`,
-      detail: 'Fundraising takes 3–6 months. Under 12 months is an emergency.',
-      fix: 'Cut burn aggressively, or start Series A prep immediately.',
+  // Chart grid
+  const cellW = (W - 12) / 2, cellH = 160;
+  const top = M + 120;
+  const cells = [[M, top], [M + cellW + 12, top], [M, top + cellH + 12], [M + cellW + 12, top + cellH + 12]];
+  cells.forEach(([x, y]) => doc.rect(x, y, cellW, cellH, { stroke: C.rule, lineWidth: 0.5 }));
+  const pad = 12;
+
+  // Market funnel
+  {
+    const [x0, y0] = cells[0];
+    const x = x0 + pad, barW = cellW - pad * 2;
+    caption('Market Funnel', x, y0 + pad + 6);
+    const shades = ['#312e81', '#4f46e5', '#818cf8'];
+    funnelBars(derived.tam, derived.sam, derived.som).forEach((b, i) => {
+      const y = y0 + 34 + i * 40;
+      doc.text(b.label, x, y, { size: 9, bold: true });
+      doc.text(b.sublabel, x + 26, y, { size: 7, color: C.faint });
+      doc.text(fmt.currency(b.value), x + barW, y, { size: 9, bold: true, align: 'right' });
+      doc.rect(x, y + 5, barW, 14, { fill: '#f3f4f6' });
+      doc.rect(x, y + 5, barW * b.share, 14, { fill: shades[i] });
     });
   }
 
-  if (runwayMonths < 18) {
-    flags.push({
-      id: 'runway_short', module: 3, severity: 'warning',
-      msg: `Runway ${runwayMonths} mo — target 18+`,
-      detail: 'Less than 18 months means you may need to raise under pressure.',
-      fix: 'Reduce burn, accelerate revenue, or plan a bridge round.',
+  // LTV vs CAC
+  {
+    const [x0, y0] = cells[1];
+    const x = x0 + pad, barW = cellW - pad * 2;
+    const { ltv, payback, ltvCac } = derived;
+    const { ltvShare, cacShare, tier } = ltvCacBars(ltv, derived.cac);
+    caption('LTV vs CAC', x, y0 + pad + 6);
+    [
+      { label: 'LTV', value: ltv > 99999 ? '>$100K' : fmt.currency(ltv), share: ltvShare, color: C.good },
+      { label: 'CAC', value: fmt.currency(derived.cac), share: cacShare, color: C.bad },
+    ].forEach((b, i) => {
+      const y = y0 + 34 + i * 34;
+      doc.text(b.label, x, y, { size: 9, bold: true });
+      doc.text(b.value, x + barW, y, { size: 9, bold: true, align: 'right' });
+      doc.rect(x, y + 5, barW, 12, { fill: '#f3f4f6' });
+      doc.rect(x, y + 5, barW * b.share, 12, { fill: b.color });
     });
+    const ratioY = y0 + 112;
+    doc.text('LTV/CAC', x, ratioY, { size: 8, color: C.muted });
+    doc.text(`${ltvCac.toFixed(1)}×`, x + 40, ratioY, { size: 14, bold: true, color: tierColor(tier) });
+    const pb = Math.min(payback, 99);
+    const pbTier = payback <= 6 ? 'good' : payback <= 12 ? 'warn' : 'bad';
+    doc.text(`Payback ${pb.toFixed(1)} mo`, x + barW, ratioY, { size: 8, bold: true, color: tierColor(pbTier), align: 'right' });
+    const trackY = ratioY + 12;
+    doc.rect(x, trackY, barW, 6, { fill: '#f3f4f6' });
+    doc.rect(x, trackY, barW * Math.min(1, payback / 24), 6, { fill: tierColor(pbTier) });
+    doc.line(x + barW / 2, trackY - 2, x + barW / 2, trackY + 8, { stroke: C.ink, lineWidth: 0.5 });
+    doc.text('0', x, trackY + 16, { size: 6, color: C.faint });
+    doc.text('12mo target', x + barW / 2, trackY + 16, { size: 6, color: C.faint, align: 'center' });
+    doc.text('24mo', x + barW, trackY + 16, { size: 6, color: C.faint, align: 'right' });
   }
 
-  // Breakeven path
-  if (breakevenMonth !== null && breakevenMonth <= 24) score += 10;
-  else {
-    flags.push({
-      id: 'no_breakeven', module: 3, severity: 'warning',
-      msg: 'No breakeven in 24 months',
-      detail: 'No path to cash-flow positive without additional funding.',
-      fix: 'Increase MoM growth rate or reduce burn to find breakeven.',
+  // Cash balance
+  {
+    const [x0, y0] = cells[2];
+    const { cashData, raises } = derived;
+    caption(`Cash Balance — ${cashData.length - 1} Months`, x0 + pad, y0 + pad + 6);
+    const px = x0 + pad, py = y0 + 30, pw = cellW - pad * 2 - 8, ph = cellH - 54;
+    const max = Math.max(...cashData, 0), min = Math.min(...cashData, 0);
+    const range = max - min || 1;
+    const months = cashData.length - 1;
+    const tx = (m) => px + (m / months) * pw;
+    const ty = (v) => py + ph - ((v - min) / range) * ph;
+    const pts = cashData.map((c, i) => [tx(i), ty(c)]);
+    [0.25, 0.5, 0.75].forEach(f => doc.line(px, ty(max * f), px + pw, ty(max * f), { stroke: '#f3f4f6', lineWidth: 0.5 }));
+    doc.polyline([...pts, [tx(months), py + ph], [tx(0), py + ph]], { close: true, fill: C.accentSoft });
+    doc.line(px, ty(0), px + pw, ty(0), { stroke: C.bad, lineWidth: 1, dash: [4, 3] });
+    doc.text('$0 death line', px + pw, ty(0) - 3, { size: 6, color: C.bad, align: 'right' });
+    doc.polyline(pts, { stroke: C.accent, lineWidth: 1.8 });
+    raises.filter(r => r.month <= months).forEach(r => {
+      const fx = tx(r.month), fy = ty(cashData[r.month]);
+      const color = r.closed ? '#f59e0b' : C.faint;
+      doc.line(fx, py, fx, py + ph, { stroke: color, lineWidth: 0.75, dash: [2, 2] });
+      doc.circle(fx, fy, 3, { fill: color });
+      doc.text(r.closed ? `+${fmt.currency(r.amount)}` : `${r.name} (not met)`, fx + 5, fy - 4,
+        { size: 7, bold: true, color: r.closed ? '#b45309' : C.faint });
     });
+    const deathMonth = cashData.findIndex((c, i) => i > 0 && c <= 0);
+    if (deathMonth > 0) {
+      doc.line(tx(deathMonth), py, tx(deathMonth), py + ph, { stroke: C.bad, lineWidth: 0.75 });
+      doc.text(`Out of cash M${deathMonth}`, tx(deathMonth) + 3, py + 8, { size: 7, bold: true, color: C.bad });
+    }
+    for (let m = 0; m <= months; m += months <= 30 ? 6 : 12) {
+      doc.text(`M${m}`, tx(m), py + ph + 11, { size: 6, color: C.faint, align: 'center' });
+    }
   }
 
-  // Dilution: founders should retain meaningful equity
-  if (totalDilution <= 25) score += 5;
-  else if (totalDilution <= 35) { /* neutral */ }
-  else {
-    flags.push({
-      id: 'dilution_heavy', module: 3, severity: 'warning',
-      msg: `${totalDilution}% total dilution — aggressive`,
-      detail: `Founders at ${founderOwnership.toFixed(0)}% after seed. Heavy option pool eats returns.`,
-      fix: 'Negotiate tighter SAFE cap or smaller option pool at hire.',
+  // Ownership donut
+  {
+    const [x0, y0] = cells[3];
+    caption(derived.capTable.rounds.length > 1 ? 'Ownership After Planned Raises' : 'Ownership After Seed', x0 + pad, y0 + pad + 6);
+    const slices = ownershipSlices(derived.capTable);
+    const cx = x0 + pad + 55, cy = y0 + 92, r = 52;
+    let angle = -Math.PI / 2;
+    slices.filter(s => s.value > 0).forEach(s => {
+      const sweep = (s.value / 100) * 2 * Math.PI;
+      doc.wedge(cx, cy, r, angle, sweep, { fill: s.color });
+      angle += sweep;
+    });
+    doc.circle(cx, cy, 32, { fill: '#ffffff' });
+    doc.text(`${slices[0].value.toFixed(0)}%`, cx, cy + 2, { size: 14, bold: true, align: 'center' });
+    doc.text('founders', cx, cy + 12, { size: 7, color: C.muted, align: 'center' });
+    slices.forEach((s, i) => {
+      const lx = cx + r + 22, ly = y0 + 58 + i * 26;
+      doc.rect(lx, ly - 7, 8, 8, { fill: s.color });
+      doc.text(s.label, lx + 14, ly, { size: 8, color: C.muted });
+      doc.text(`${s.value.toFixed(1)}%`, lx + 14, ly + 11, { size: 9, bold: true });
     });
   }
 
-  return {
-    score: Math.min(100, Math.max(0, score)),
-    flags,
-    derived: { sam, som, ltv, payback, ltvCac, avgLifespanMonths, runwayMonths, breakevenMonth, cashData, founderOwnership, totalDilution },
-  };
-}
+  // Key outputs (left) and flags (right)
+  const lowerTop = top + cellH * 2 + 32;
+  const colW = (W - 20) / 2;
+  caption('Key Outputs', M, lowerTop);
+  doc.text('PTS', M + colW, lowerTop, { size: 7, bold: true, color: C.muted, align: 'right' });
+  breakdown.forEach((b, i) => {
+    const y = lowerTop + 16 + i * 17;
+    const tier = b.earned === b.possible ? 'good' : b.earned > 0 ? 'warn' : 'bad';
+    if (i % 2 === 0) doc.rect(M, y - 11, colW, 17, { fill: C.panel });
+    doc.circle(M + 6, y - 3, 2.5, { fill: tierColor(tier) });
+    doc.text(b.label, M + 14, y, { size: 8.5 });
+    doc.text(b.value, M + colW - 40, y, { size: 8.5, bold: true, align: 'right' });
+    doc.text(`${b.earned}/${b.possible}`, M + colW, y, { size: 8, color: C.muted, align: 'right' });
+  });
+
+  const fx = M + colW + 20;
+  const bottom = doc.height - M - 14;
+  const ordered = [...flags].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'critical' ? -1 : 1));
+  caption(`Flags (${flags.length})`, fx, lowerTop);
+  let y = lowerTop + 16;
+  if (ordered.length === 0) doc.text('No open flags.', fx, y, { size: 9, color: C.good });
+  for (let i = 0; i < ordered.length; i++) {
+    const f = ordered[i];
+    const fixLines = doc.wrap(`Fix: ${f.fix}`, colW - 12, 7.5);
+    const needed = 12 + fixLines.length * 10 + 6;
+    if (y + needed > bottom) {
+      doc.text(`+${ordered.length - i} more in the app`, fx, y, { size: 8, color: C.muted });
+      break;
+    }
+    doc.circle(fx + 3, y - 3, 2.5, { fill: f.severity === 'critical' ? C.bad : C.warn });
+    doc.text(f.msg, fx + 12, y, { size: 8.5, bold: true });
+    fixLines.forEach((line, j) => doc.text(line, fx + 12, y + 11 + j * 10, { size: 7.5, color: C.muted }));
+    y += needed;
+  }
+
+  // Footer
+  doc.line(M, doc.height - M, M + W, doc.height - M, { stroke: C.rule });
+  doc.text('Founder Math Lab — model assumptions are the founder’s own; figures are projections, not forecasts.', M, doc.height - M + 12, { size: 6.5, color: C.faint });
 
-// ── Module completion heuristic ───────────────────────────────
-// A module is "done" when its score contribution and flags are healthy
-function checkModuleComplete(moduleId, flags, score) {
-  const moduleFlags = flags.filter(f => f.module === moduleId);
-  const hasCritical = moduleFlags.some(f => f.severity === 'critical');
-  // Module-specific thresholds
-  return !hasCritical && score >= 65;
+  return pdfDocument(doc, `Investor Readiness Report - ${scenarioName}`);
 }
 
 // ═══════════════════════════════════════════════════════════════
@@ -391,12 +819,7 @@ const ParameterCell = memo(({
   }, [value]);
 
   const commitEdit = useCallback(() => {
-    const cleaned = editStr.replace(/[$,%BMKbmk\s]/g, '');
-    let parsed = parseFloat(cleaned);
-    // Handle B/M/K suffix
-    if (/[Bb]$/.test(editStr)) parsed *= 1e9;
-    else if (/[Mm]$/.test(editStr)) parsed *= 1e6;
-    else if (/[Kk]$/.test(editStr)) parsed *= 1e3;
+    const parsed = parseNumberInput(editStr);
     if (!isNaN(parsed)) onChange(clamp(parsed));
     setEditing(false);
   }, [editStr, clamp, onChange]);
@@ -550,6 +973,31 @@ const Toggle = ({ value, options, onChange }) => (
   </div>
 );
 
+// ═══════════════════════════════════════════════════════════════
+// SELECT — dropdown twin of Toggle for longer option lists
+// ═══════════════════════════════════════════════════════════════
+const Select = ({ value, options, onChange }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    style={{
+      background: '#0d0d10',
+      border: '1px solid #1d1d25',
+      borderRadius: '7px',
+      color: '#c8c4bc',
+      fontSize: '12px',
+      padding: '6px 10px',
+      fontFamily: 'DM Sans, sans-serif',
+      cursor: 'pointer',
+      outline: 'none',
+    }}
+  >
+    {options.map(opt => (
+      <option key={opt.value} value={opt.value}>{opt.label}</option>
+    ))}
+  </select>
+);
+
 // ═══════════════════════════════════════════════════════════════
 // CONCEPT CARD
 // ═══════════════════════════════════════════════════════════════
@@ -639,6 +1087,32 @@ const OutputTable = memo(({ rows }) => (
   </div>
 ));
 
+// Efficiency ratios against their benchmark bands (Module 3)
+const EfficiencyPanel = memo(({ efficiency, payback }) => {
+  const { burnMultiple, ruleOf40, growth, margin, magicNumber, arrPerEmployee, arr } = efficiency;
+  const row = (key, value, display, detail = '') => {
+    const early = arr < EFFICIENCY_MIN_ARR && (key === 'ruleOf40' || key === 'arrPerEmployee');
+    return {
+      label: EFFICIENCY_BENCHMARKS[key].label,
+      value: value == null ? '—' : display,
+      status: early ? 'neutral' : efficiencyStatus(key, value),
+      sublabel: `${detail}${EFFICIENCY_BENCHMARKS[key].note}${early ? ' · applies from $1M ARR' : ''}`,
+    };
+  };
+  return (
+    <OutputTable rows={[
+      row('burnMultiple', burnMultiple, Number.isFinite(burnMultiple) ? fmt.ratio(burnMultiple) : 'no ARR added',
+        'Net burn ÷ net new ARR · '),
+      row('ruleOf40', ruleOf40, ruleOf40 == null ? '' : ruleOf40.toFixed(0),
+        ruleOf40 == null ? '' : `${fmt.pct(growth, 0)} growth ${margin < 0 ? '−' : '+'} ${fmt.pct(Math.abs(margin), 0)} margin · `),
+      row('magicNumber', magicNumber, magicNumber == null ? '' : magicNumber.toFixed(2),
+        magicNumber == null ? 'Needs the customer model\'s marketing spend · ' : 'Net new ARR ÷ marketing spend · '),
+      row('arrPerEmployee', arrPerEmployee, arrPerEmployee == null ? '' : fmt.currency(arrPerEmployee)),
+      row('payback', payback, `${Math.min(payback, 99).toFixed(1)} mo`, 'CAC ÷ monthly gross profit · '),
+    ]} />
+  );
+});
+
 // ═══════════════════════════════════════════════════════════════
 // FLAGS PANEL
 // ═══════════════════════════════════════════════════════════════
@@ -711,13 +1185,20 @@ const FlagsPanel = memo(({ flags, moduleId }) => {
 // ═══════════════════════════════════════════════════════════════
 // SVG FUNNEL CHART (Module 1)
 // ═══════════════════════════════════════════════════════════════
+// Bar lengths as a share of the TAM bar, with a visible minimum.
+// Shared with the PDF report so both draw the same funnel.
+const funnelBars = (tam, sam, som) => [
+  { label: 'TAM', sublabel: 'Total Addressable Market', value: tam, share: 1 },
+  { label: 'SAM', sublabel: 'Serviceable Addressable', value: sam, share: Math.max(0.06, sam / tam) },
+  { label: 'SOM', sublabel: 'Serviceable Obtainable', value: som, share: Math.max(0.033, som / tam) },
+];
+
 const FunnelChart = memo(({ tam, sam, som }) => {
   const MAX_W = 300;
-  const bars = [
-    { label: 'TAM', sublabel: 'Total Addressable Market', value: tam, w: MAX_W, color: '#312e81', glow: '#4338ca' },
-    { label: 'SAM', sublabel: 'Serviceable Addressable', value: sam, w: Math.max(18, (sam / tam) * MAX_W), color: '#4f46e5', glow: '#6366f1' },
-    { label: 'SOM', sublabel: 'Serviceable Obtainable', value: som, w: Math.max(10, (som / tam) * MAX_W), color: '#818cf8', glow: '#a5b4fc' },
-  ];
+  const colors = [['#312e81', '#4338ca'], ['#4f46e5', '#6366f1'], ['#818cf8', '#a5b4fc']];
+  const bars = funnelBars(tam, sam, som).map((b, i) => ({
+    ...b, w: b.share * MAX_W, color: colors[i][0], glow: colors[i][1],
+  }));
 
   return (
     <div>
@@ -754,16 +1235,12 @@ const FunnelChart = memo(({ tam, sam, som }) => {
 // ═══════════════════════════════════════════════════════════════
 // ARR TIMELINE (Module 1)  — SVG line chart
 // ═══════════════════════════════════════════════════════════════
-const ARRTimeline = memo(({ som, horizon, targetARR }) => {
+const ARRTimeline = memo(({ points, targetARR, goalYear, rampLabel }) => {
   const W = 310, H = 130, PAD = { t: 14, r: 16, b: 26, l: 14 };
   const IW = W - PAD.l - PAD.r;
   const IH = H - PAD.t - PAD.b;
-
-  // Simple linear ramp: reach ~40% of SOM by end of horizon
-  const pts = Array.from({ length: horizon + 1 }, (_, i) => ({
-    year: i,
-    arr: i === 0 ? 0 : (som * 0.4 * (i / horizon)),
-  }));
+  const horizon = points.length - 1;
+  const pts = points;
 
   const maxVal = Math.max(...pts.map(p => p.arr), targetARR) * 1.25;
   const tx = (y) => PAD.l + (y / horizon) * IW;
@@ -777,7 +1254,7 @@ const ARRTimeline = memo(({ som, horizon, targetARR }) => {
   return (
     <div>
       <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '10px' }}>
-        ARR Trajectory (simplified)
+        ARR Trajectory — {rampLabel}
       </div>
       <svg width={W} height={H} style={{ overflow: 'visible', display: 'block' }}>
         <defs>
@@ -806,11 +1283,23 @@ const ARRTimeline = memo(({ som, horizon, targetARR }) => {
             <line x1={PAD.l} x2={W - PAD.r} y1={targetYPos} y2={targetYPos}
               stroke="#f59e0b" strokeWidth="1" strokeDasharray="5,4" opacity="0.7" />
             <text x={W - PAD.r - 2} y={targetYPos - 4} fill="#f59e0b" fontSize="9" textAnchor="end" opacity="0.8">
-              Goal {fmt.currency(targetARR)}
+              Goal {fmt.currency(targetARR)}{goalYear == null ? ` — not reached by Y${horizon}` : ''}
             </text>
           </>
         )}
 
+        {/* Goal crossing */}
+        {targetARR > 0 && goalYear != null && (
+          <g>
+            <line x1={tx(goalYear)} x2={tx(goalYear)} y1={targetYPos} y2={PAD.t + IH}
+              stroke="#f59e0b" strokeWidth="1" strokeDasharray="2,3" opacity="0.6" />
+            <circle cx={tx(goalYear)} cy={targetYPos} r="5" fill="none" stroke="#f59e0b" strokeWidth="1.5" />
+            <text x={tx(goalYear) - 7} y={targetYPos + 14} fill="#f59e0b" fontSize="9" textAnchor="end">
+              Goal hit Y{goalYear}
+            </text>
+          </g>
+        )}
+
         {/* Area + Line */}
         <path d={areaPath} fill="url(#arrArea)" />
         <path d={linePath} fill="none" stroke="url(#arrLine)" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" />
@@ -844,19 +1333,95 @@ const ARRTimeline = memo(({ som, horizon, targetARR }) => {
 // ═══════════════════════════════════════════════════════════════
 // LTV/CAC CHART (Module 2)
 // ═══════════════════════════════════════════════════════════════
-const LTVCACChart = memo(({ ltv, cac, payback }) => {
-  const cappedLtv = Math.min(ltv, cac * 10); // cap visual at 10x for readability
+// Bar shares for LTV and CAC (LTV capped at 10× CAC for readability)
+// plus the ratio tier: 'good' ≥ 5×, 'warn' ≥ 3×, else 'bad'
+function ltvCacBars(ltv, cac) {
+  const cappedLtv = Math.min(ltv, cac * 10);
   const maxVal = Math.max(cappedLtv, cac) * 1.15;
-  const ltvW = (cappedLtv / maxVal) * 280;
-  const cacW = (cac / maxVal) * 280;
   const ratio = cac > 0 ? ltv / cac : 0;
-  const ratioColor = ratio >= 5 ? '#4ade80' : ratio >= 3 ? '#fbbf24' : '#f87171';
+  return {
+    ltvShare: cappedLtv / maxVal,
+    cacShare: cac / maxVal,
+    ratio,
+    tier: ratio >= 5 ? 'good' : ratio >= 3 ? 'warn' : 'bad',
+  };
+}
 
+const TIER_COLORS = { good: '#4ade80', warn: '#fbbf24', bad: '#f87171' };
+
+// One pair of thin LTV / CAC bars per channel, on a shared scale
+const ChannelBreakdown = ({ channels }) => {
+  const maxVal = Math.max(1, ...channels.filter(c => Number.isFinite(c.cac)).map(c => Math.max(Math.min(c.ltv, c.cac * 10), c.cac))) * 1.15;
   return (
-    <div>
-      <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '14px' }}>
-        LTV vs CAC
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      {channels.map(c => {
+        const tier = c.ltvCac >= 5 ? 'good' : c.ltvCac >= 3 ? 'warn' : 'bad';
+        const priced = Number.isFinite(c.cac);
+        return (
+          <div key={c.id}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '4px' }}>
+              <span style={{ fontSize: '11px', fontWeight: 700, color: '#9ca3af' }}>{c.name}</span>
+              <span style={{ fontSize: '10px', color: '#4b5568', fontFamily: 'JetBrains Mono, monospace' }}>
+                {priced ? `${fmt.currency(c.ltv)} / ${fmt.currency(c.cac)} · ${Math.min(c.payback, 99).toFixed(0)} mo` : 'no customers'}
+                <span style={{ color: TIER_COLORS[tier], fontWeight: 700, marginLeft: '8px' }}>
+                  {priced ? `${c.ltvCac.toFixed(1)}×` : '—'}
+                </span>
+              </span>
+            </div>
+            {[
+              { value: priced ? Math.min(c.ltv, c.cac * 10) : 0, color: '#4ade80' },
+              { value: priced ? c.cac : 0, color: '#f87171' },
+            ].map((bar, i) => (
+              <div key={i} style={{ height: '5px', background: '#111118', borderRadius: '3px', overflow: 'hidden', marginTop: i ? '2px' : 0 }}>
+                <div style={{
+                  height: '100%', width: `${(bar.value / maxVal) * 100}%`,
+                  background: bar.color, borderRadius: '3px', transition: 'width 0.3s ease',
+                }} />
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// `channels` (from channelEconomics) adds a by-channel view
+const LTVCACChart = memo(({ ltv, cac, payback, channels }) => {
+  const [view, setView] = useState('blended');
+  const { ltvShare, cacShare, ratio, tier } = ltvCacBars(ltv, cac);
+  const ltvW = ltvShare * 280;
+  const cacW = cacShare * 280;
+  const ratioColor = TIER_COLORS[tier];
+  const byChannel = channels?.length > 0 && view === 'channels';
+
+  const header = (
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '14px' }}>
+      <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em' }}>
+        LTV vs CAC{channels?.length > 0 && !byChannel && ' · blended'}
+      </div>
+      {channels?.length > 0 && (
+        <Toggle
+          value={view}
+          options={[{ value: 'blended', label: 'Blended' }, { value: 'channels', label: 'By channel' }]}
+          onChange={setView}
+        />
+      )}
+    </div>
+  );
+
+  if (byChannel) {
+    return (
+      <div>
+        {header}
+        <ChannelBreakdown channels={channels} />
       </div>
+    );
+  }
+
+  return (
+    <div>
+      {header}
 
       {[
         { label: 'LTV', sublabel: 'Lifetime Value (gross profit)', value: ltv > 99999 ? '>$100K' : fmt.currency(ltv), barW: ltvW, color: '#16a34a', glow: '#4ade80' },
@@ -953,6 +1518,70 @@ const LTVCACChart = memo(({ ltv, cac, payback }) => {
   );
 });
 
+// ── Cohort triangle ──────────────────────────────────────────
+// One row per monthly signup cohort, one column per month since signup,
+// each cell the share of that cohort still with you. Later cohorts have
+// fewer months behind them, hence the triangle.
+const COHORT_ROWS = 12;
+
+const CohortHeatmap = memo(({ unit }) => {
+  const [view, setView] = useState('logos');
+  const curve = useMemo(() => cohortCurve(unit, COHORT_ROWS)[view], [unit, view]);
+  const cellColor = (v) => {
+    const t = Math.max(0, Math.min(1, v / 100));
+    return v > 100 ? '#22c55e' : `rgba(99, 102, 241, ${0.12 + t * 0.78})`;
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em' }}>
+          Cohort Retention
+        </div>
+        <Toggle
+          value={view}
+          options={[{ value: 'logos', label: 'Customers' }, { value: 'revenue', label: 'Revenue' }]}
+          onChange={setView}
+        />
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: `34px repeat(${COHORT_ROWS + 1}, 1fr)`, gap: '2px' }}>
+        <span />
+        {curve.map((_, age) => (
+          <span key={age} style={{ fontSize: '8px', color: '#3a3a4a', textAlign: 'center', fontFamily: 'JetBrains Mono, monospace' }}>
+            {age}
+          </span>
+        ))}
+        {Array.from({ length: COHORT_ROWS }, (_, row) => (
+          <React.Fragment key={row}>
+            <span style={{ fontSize: '9px', color: '#4b5568', fontFamily: 'JetBrains Mono, monospace', alignSelf: 'center' }}>
+              M{row + 1}
+            </span>
+            {curve.map((v, age) => (age < COHORT_ROWS + 1 - row ? (
+              <span
+                key={age}
+                title={`M${row + 1} cohort, month ${age}: ${fmt.pct(v)}`}
+                style={{
+                  height: '16px', borderRadius: '2px', background: cellColor(v),
+                  fontSize: '7px', color: '#e8e4dc', textAlign: 'center', lineHeight: '16px',
+                  fontFamily: 'JetBrains Mono, monospace',
+                }}
+              >
+                {v.toFixed(0)}
+              </span>
+            ) : <span key={age} />))}
+          </React.Fragment>
+        ))}
+      </div>
+      <div style={{ fontSize: '10px', color: '#4b5568', marginTop: '8px' }}>
+        {unit.retentionCurve.length
+          ? `From your ${unit.retentionCurve.length}-month retention curve`
+          : `Constant ${fmt.pct(unit.churnMonthly)} monthly churn — draw a retention curve for a realistic shape`}
+        {view === 'revenue' && ' · includes expansion and contraction'}
+      </div>
+    </div>
+  );
+});
+
 // ═══════════════════════════════════════════════════════════════
 // BATTLE METER (Module 2)
 // ═══════════════════════════════════════════════════════════════
@@ -1038,30 +1667,54 @@ const BattleMeter = memo(({ ltvCac, payback, grossMargin, churnMonthly }) => {
 // ═══════════════════════════════════════════════════════════════
 // CASH FLOW CHART (Module 3)  — SVG area chart
 // ═══════════════════════════════════════════════════════════════
-const CashFlowChart = memo(({ cashData, fundraiseMonth, fundraiseAmount }) => {
-  const W = 320, H = 150, PAD = { t: 14, r: 20, b: 26, l: 8 };
+// `series` overlays extra named paths ({ id, color, cashData }) on the
+// same axes — used by the scenario comparison view.
+// `raises` (derived.raises) puts a marker on each financing event that
+// came due: filled when it closed, hollow when its condition wasn't met.
+// `bands` ({ p10, p50, p90 }) draws Monte Carlo confidence bands.
+// The x-axis spans cashData, so the chart follows the projection horizon;
+// overlays from scenarios with a longer horizon are cut to fit, and bands
+// from a simulation of a different horizon are skipped until it reruns.
+const CashFlowChart = memo(({ cashData, raises = [], series: rawSeries = [], bands: rawBands = null, width = 320 }) => {
+  const W = width, H = 150, PAD = { t: 14, r: 20, b: 26, l: 8 };
   const IW = W - PAD.l - PAD.r;
   const IH = H - PAD.t - PAD.b;
+  const months = cashData.length - 1;
+  const series = rawSeries.map(s => ({ ...s, cashData: s.cashData.slice(0, months + 1) }));
+  const bands = rawBands && rawBands.p50.length === cashData.length ? rawBands : null;
 
-  const maxCash = Math.max(...cashData, 0);
-  const minCash = Math.min(...cashData, 0);
+  const allCash = series.reduce(
+    (acc, s) => acc.concat(s.cashData),
+    bands ? cashData.concat(bands.p10, bands.p90) : cashData,
+  );
+  const maxCash = Math.max(...allCash, 0);
+  const minCash = Math.min(...allCash, 0);
   const range = maxCash - minCash || 1;
-  const months = cashData.length - 1;
 
   const tx = (m) => PAD.l + (m / months) * IW;
   const ty = (v) => PAD.t + IH - ((v - minCash) / range) * IH;
   const zeroY = ty(0);
 
-  const linePath = cashData.map((c, i) => `${i === 0 ? 'M' : 'L'}${tx(i).toFixed(1)},${ty(c).toFixed(1)}`).join(' ');
+  const pathOf = (data) => data.map((c, i) => `${i === 0 ? 'M' : 'L'}${tx(i).toFixed(1)},${ty(c).toFixed(1)}`).join(' ');
+  const linePath = pathOf(cashData);
   const areaPath = `${linePath} L${tx(months).toFixed(1)},${(PAD.t + IH).toFixed(1)} L${tx(0).toFixed(1)},${(PAD.t + IH).toFixed(1)}Z`;
+  const bandPath = bands
+    ? `${pathOf(bands.p90)} ${bands.p10.map((c, i) => `L${tx(i).toFixed(1)},${ty(c).toFixed(1)}`).reverse().join(' ')}Z`
+    : null;
 
   // Find where cash hits zero for dead zone visualization
   const deathMonth = cashData.findIndex((c, i) => i > 0 && c <= 0);
 
+  // Every 6 months up to 2.5 years, yearly beyond that; always label the end
+  const tickStep = months <= 30 ? 6 : 12;
+  const ticks = [];
+  for (let m = 0; m <= months; m += tickStep) ticks.push(m);
+  if (ticks[ticks.length - 1] !== months) ticks.push(months);
+
   return (
     <div>
       <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '10px' }}>
-        Cash Balance — 24 Months
+        Cash Balance — {months} Months
       </div>
       <svg width={W} height={H} style={{ overflow: 'visible', display: 'block' }}>
         <defs>
@@ -1096,22 +1749,41 @@ const CashFlowChart = memo(({ cashData, fundraiseMonth, fundraiseAmount }) => {
         <path d={areaPath} fill="url(#cashArea)" />
         <path d={linePath} fill="none" stroke="url(#cashLine)" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round" />
 
-        {/* Fundraise marker */}
-        {fundraiseMonth > 0 && fundraiseMonth <= months && fundraiseAmount > 0 && (
+        {/* Monte Carlo bands: P10–P90 envelope + P50 median */}
+        {bands && (
           <g>
-            <line
-              x1={tx(fundraiseMonth)} x2={tx(fundraiseMonth)}
-              y1={PAD.t} y2={PAD.t + IH}
-              stroke="#f59e0b" strokeWidth="1" strokeDasharray="3,3" opacity="0.5"
-            />
-            <circle cx={tx(fundraiseMonth)} cy={ty(cashData[fundraiseMonth] || 0)} r="5" fill="#f59e0b" />
-            <circle cx={tx(fundraiseMonth)} cy={ty(cashData[fundraiseMonth] || 0)} r="2" fill="#0b0b0f" />
-            <text x={tx(fundraiseMonth) + 6} y={ty(cashData[fundraiseMonth] || 0) - 6} fill="#f59e0b" fontSize="9">
-              +{fmt.currency(fundraiseAmount)}
-            </text>
+            <path d={bandPath} fill="#818cf8" opacity="0.13" />
+            <path d={pathOf(bands.p50)} fill="none" stroke="#c7d2fe" strokeWidth="1.5" strokeDasharray="4,3" opacity="0.8" />
+            <text x={tx(months) + 3} y={ty(bands.p90[months]) + 3} fill="#818cf8" fontSize="8">P90</text>
+            <text x={tx(months) + 3} y={ty(bands.p10[months]) + 3} fill="#818cf8" fontSize="8">P10</text>
           </g>
         )}
 
+        {/* Overlay series */}
+        {series.map(s => (
+          <path key={s.id} d={pathOf(s.cashData)} fill="none" stroke={s.color}
+            strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" opacity="0.85"
+            strokeDasharray={s.dashed ? '4,3' : undefined} />
+        ))}
+
+        {/* Financing markers; labels alternate above/below so neighbours don't collide */}
+        {raises.filter(r => r.month <= months).map((r, i) => {
+          const x = tx(r.month), y = ty(cashData[r.month] || 0);
+          const color = r.closed ? '#f59e0b' : '#4b5568';
+          return (
+            <g key={r.id}>
+              <title>{`${r.name} · ${INSTRUMENTS[r.instrument]} · M${r.month}${r.closed ? '' : ' — condition not met'}`}</title>
+              <line x1={x} x2={x} y1={PAD.t} y2={PAD.t + IH}
+                stroke={color} strokeWidth="1" strokeDasharray="3,3" opacity="0.5" />
+              <circle cx={x} cy={y} r="5" fill={r.closed ? color : '#0b0b0f'} stroke={color} strokeWidth="1.5" />
+              {r.closed && <circle cx={x} cy={y} r="2" fill="#0b0b0f" />}
+              <text x={x + 6} y={i % 2 ? y + 14 : y - 6} fill={color} fontSize="9">
+                {r.closed ? `+${fmt.currency(r.amount)}` : `✕ ${r.name}`}
+              </text>
+            </g>
+          );
+        })}
+
         {/* Death marker */}
         {deathMonth > 0 && (
           <g>
@@ -1124,7 +1796,7 @@ const CashFlowChart = memo(({ cashData, fundraiseMonth, fundraiseAmount }) => {
         )}
 
         {/* Month labels */}
-        {[0, 6, 12, 18, 24].map(m => (
+        {ticks.map(m => (
           <text key={m} x={tx(m)} y={H - 4} fill="#2a2a35" fontSize="9" textAnchor="middle">M{m}</text>
         ))}
       </svg>
@@ -1133,93 +1805,122 @@ const CashFlowChart = memo(({ cashData, fundraiseMonth, fundraiseAmount }) => {
 });
 
 // ═══════════════════════════════════════════════════════════════
-// OWNERSHIP DONUT (Module 3)
+// OWNERSHIP BY ROUND (Module 3)
 // ═══════════════════════════════════════════════════════════════
-const OwnershipDonut = memo(({ safeCapPercent, optionPool }) => {
-  const investors = Math.min(safeCapPercent, 80);
-  const pool = Math.min(optionPool, 80 - investors);
-  const founders = Math.max(0, 100 - investors - pool);
-
-  const slices = [
+// Founder / investor / pool split of a buildCapTable result
+function ownershipSlices({ founders, investors, pool }) {
+  return [
     { label: 'Founders', value: founders, color: '#6366f1', glow: '#818cf8' },
-    { label: 'Investors (SAFE)', value: investors, color: '#f59e0b', glow: '#fbbf24' },
+    { label: 'Investors', value: investors, color: '#f59e0b', glow: '#fbbf24' },
     { label: 'Option Pool', value: pool, color: '#22c55e', glow: '#4ade80' },
-  ].filter(s => s.value > 0);
+  ];
+}
+
+// One line of terms per round for the ownership table
+function roundTerms(round) {
+  const parts = [];
+  if (round.kind === 'priced') {
+    parts.push(round.valuation > 0
+      ? `${fmt.currency(round.amount)} on ${fmt.currency(round.valuation)} pre = ${fmt.currency(round.valuation + round.amount)} post`
+      : `${fmt.currency(round.amount)} · no valuation set`);
+  } else {
+    parts.push(`${fmt.currency(round.amount)} ${INSTRUMENTS[round.instrument]} · `
+      + (round.valuation > 0 ? `${fmt.currency(round.valuation)} cap` : 'uncapped')
+      + (round.discount > 0 ? ` · ${round.discount}% off` : ''));
+  }
+  (round.conversions || []).forEach(c => parts.push(`${c.label} converts at ${c.via === 'cap' ? 'its cap' : 'the discount'} (${fmt.pct(c.pct)})`));
+  if (round.id === 'seed') parts.push(`${fmt.pct(round.poolTopUp)} pool carved out`);
+  else if (round.poolTopUp > 0) parts.push(`pool +${fmt.pct(round.poolTopUp)} (${round.poolTiming}-money)`);
+  if (round.proRataAmount > 0) parts.push(`${fmt.currency(round.proRataAmount)} pro-rata`);
+  if (round.assumed) parts.push('past the projection, assumed to close');
+  return parts.join(' · ');
+}
 
-  const CX = 65, CY = 65, R = 52, HOLE = 32;
-  let angle = -Math.PI / 2;
+// Stacked area of every holder's % after each round — founders at the
+// bottom, then the pool, then investors in the order they came in —
+// over a round-by-round table of the founder / investor / pool split.
+const INVESTOR_SHADES = ['#f59e0b', '#fbbf24', '#d97706', '#fcd34d', '#b45309', '#fde68a'];
 
-  const arcPath = (cx, cy, r, startA, sweep) => {
-    if (sweep >= 2 * Math.PI - 0.001) {
-      return `M${cx},${cy - r} A${r},${r},0,1,1,${cx - 0.01},${cy - r}Z`;
-    }
-    const x1 = cx + r * Math.cos(startA);
-    const y1 = cy + r * Math.sin(startA);
-    const x2 = cx + r * Math.cos(startA + sweep);
-    const y2 = cy + r * Math.sin(startA + sweep);
-    const large = sweep > Math.PI ? 1 : 0;
-    return `M${cx},${cy} L${x1},${y1} A${r},${r},0,${large},1,${x2},${y2}Z`;
-  };
+const OwnershipByRound = memo(({ capTable, width = 320 }) => {
+  const { rounds, unconverted } = capTable;
+  const W = width, H = 130, PAD = { t: 8, r: 8, b: 18, l: 28 };
+  const IW = W - PAD.l - PAD.r;
+  const IH = H - PAD.t - PAD.b;
 
-  const arcs = slices.map(s => {
-    const start = angle;
-    const sweep = (s.value / 100) * 2 * Math.PI;
-    angle += sweep;
-    return { ...s, start, sweep };
+  // A lone seed round still gets a band, drawn flat across the chart
+  const points = rounds.length === 1 ? [rounds[0], rounds[0]] : rounds;
+  const tx = (i) => PAD.l + (i / (points.length - 1)) * IW;
+  const ty = (pct) => PAD.t + IH - (pct / 100) * IH;
+
+  const layerIds = [];
+  rounds.forEach(r => r.holders.forEach(h => { if (!layerIds.includes(h.id)) layerIds.push(h.id); }));
+  const kindOf = (id) => rounds.flatMap(r => r.holders).find(h => h.id === id);
+  let shade = 0;
+  const layers = layerIds.map(id => {
+    const h = kindOf(id);
+    const color = h.kind === 'founders' ? '#6366f1' : h.kind === 'pool' ? '#22c55e' : INVESTOR_SHADES[shade++ % INVESTOR_SHADES.length];
+    return { id, label: h.label, color };
+  });
+  const base = points.map(() => 0);
+  const bands = layers.map(layer => {
+    const lower = [...base];
+    points.forEach((r, i) => { base[i] += r.holders.find(h => h.id === layer.id)?.pct || 0; });
+    const upper = [...base];
+    const top = upper.map((v, i) => `${i === 0 ? 'M' : 'L'}${tx(i).toFixed(1)},${ty(v).toFixed(1)}`).join(' ');
+    const bottom = lower.map((v, i) => `L${tx(i).toFixed(1)},${ty(v).toFixed(1)}`).reverse().join(' ');
+    return { ...layer, d: `${top} ${bottom}Z` };
   });
 
+  const pending = new Set(unconverted.map(c => c.id));
+  const cell = { textAlign: 'right', fontFamily: 'JetBrains Mono, monospace' };
+
   return (
-    <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
-      <svg width={130} height={130}>
-        <defs>
-          {arcs.map(a => (
-            <radialGradient key={a.label} id={`grad-${a.label}`}>
-              <stop offset="0%" stopColor={a.glow} stopOpacity="0.9" />
-              <stop offset="100%" stopColor={a.color} stopOpacity="0.85" />
-            </radialGradient>
-          ))}
-        </defs>
-        {arcs.map(a => (
-          <path
-            key={a.label}
-            d={arcPath(CX, CY, R, a.start, a.sweep)}
-            fill={`url(#grad-${a.label})`}
-          />
+    <div>
+      <svg width={W} height={H} style={{ display: 'block', overflow: 'visible' }}>
+        {[0, 50, 100].map(p => (
+          <g key={p}>
+            <line x1={PAD.l} x2={W - PAD.r} y1={ty(p)} y2={ty(p)} stroke="#151520" strokeWidth="1" />
+            <text x={PAD.l - 4} y={ty(p) + 3} fill="#2a2a35" fontSize="9" textAnchor="end">{p}%</text>
+          </g>
+        ))}
+        {bands.map(b => (
+          <path key={b.id} d={b.d} fill={b.color} opacity="0.8" stroke="#080809" strokeWidth="0.5">
+            <title>{b.label}</title>
+          </path>
+        ))}
+        {rounds.map((r, i) => (
+          <text key={r.id} x={rounds.length === 1 ? PAD.l + IW / 2 : tx(i)} y={H - 4} fill="#4b5568" fontSize="9"
+            textAnchor={rounds.length === 1 ? 'middle' : i === 0 ? 'start' : i === rounds.length - 1 ? 'end' : 'middle'}>
+            {r.label}
+          </text>
         ))}
-        {/* Donut hole */}
-        <circle cx={CX} cy={CY} r={HOLE} fill="#080809" />
-        <text x={CX} y={CY - 6} textAnchor="middle" fill="#e8e4dc" fontSize="16" fontWeight="800" fontFamily="JetBrains Mono, monospace">
-          {founders.toFixed(0)}%
-        </text>
-        <text x={CX} y={CY + 10} textAnchor="middle" fill="#4b5568" fontSize="9" fontFamily="DM Sans, sans-serif">
-          founders
-        </text>
       </svg>
 
-      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
-        {slices.map(s => (
-          <div key={s.label} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-            <div style={{
-              width: '10px', height: '10px',
-              borderRadius: '3px',
-              background: s.color,
-              flexShrink: 0,
-              boxShadow: `0 0 6px ${s.glow}50`,
-            }} />
-            <div>
-              <div style={{ fontSize: '10px', color: '#6b7280' }}>{s.label}</div>
-              <div style={{
-                fontSize: '14px',
-                fontWeight: 700,
-                color: s.color,
-                fontFamily: 'JetBrains Mono, monospace',
-              }}>
-                {s.value.toFixed(1)}%
-              </div>
-            </div>
-          </div>
+      <div style={{
+        display: 'grid', gridTemplateColumns: '1fr 54px 54px 46px', gap: '6px 8px',
+        fontSize: '11px', alignItems: 'baseline', marginTop: '14px',
+      }}>
+        {['Round', 'Founders', 'Investors', 'Pool'].map((h, i) => (
+          <span key={h} style={{ fontSize: '9px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.08em', textAlign: i ? 'right' : 'left' }}>{h}</span>
+        ))}
+        {rounds.map(r => (
+          <React.Fragment key={r.id}>
+            <span style={{ color: '#c8c4bc', minWidth: 0 }}>
+              <span style={{ color: '#4b5568', fontFamily: 'JetBrains Mono, monospace', fontSize: '10px', marginRight: '6px' }}>M{r.month}</span>
+              {r.label}{pending.has(r.id) ? '*' : ''}
+              <span style={{ display: 'block', color: '#4b5568', fontSize: '10px', lineHeight: 1.5 }}>{roundTerms(r)}</span>
+            </span>
+            <span style={{ ...cell, color: '#a5b4fc' }}>{fmt.pct(r.founders)}</span>
+            <span style={{ ...cell, color: '#fbbf24' }}>{fmt.pct(r.investors)}</span>
+            <span style={{ ...cell, color: '#4ade80' }}>{fmt.pct(r.pool)}</span>
+          </React.Fragment>
         ))}
       </div>
+      {unconverted.length > 0 && (
+        <div style={{ fontSize: '10px', color: '#4b5568', marginTop: '8px' }}>
+          * As-converted at the cap — converts when a priced round closes.
+        </div>
+      )}
     </div>
   );
 });
@@ -1227,7 +1928,8 @@ const OwnershipDonut = memo(({ safeCapPercent, optionPool }) => {
 // ═══════════════════════════════════════════════════════════════
 // SCORE HEADER — fixed top bar
 // ═══════════════════════════════════════════════════════════════
-const ScoreHeader = memo(({ score, prevScore, flags, currentModule, setModule, moduleCompletion }) => {
+const ScoreHeader = memo(({ score, prevScore, flags, currentModule, setModule, moduleCompletion, onScoreClick, onCopyLink }) => {
+  const [copied, setCopied] = useState(false);
   const scoreColor = score >= 80 ? '#4ade80' : score >= 60 ? '#fbbf24' : score >= 40 ? '#fb923c' : '#f87171';
   const criticals = flags.filter(f => f.severity === 'critical').length;
   const warnings = flags.filter(f => f.severity === 'warning').length;
@@ -1329,6 +2031,27 @@ const ScoreHeader = memo(({ score, prevScore, flags, currentModule, setModule, m
 
       {/* Score + flags */}
       <div style={{ display: 'flex', alignItems: 'center', gap: '14px', flexShrink: 0 }}>
+        <button
+          onClick={async () => {
+            if (await onCopyLink()) {
+              setCopied(true);
+              setTimeout(() => setCopied(false), 1600);
+            }
+          }}
+          title="Copy a link that opens this exact model"
+          style={{
+            background: 'transparent',
+            border: '1px solid #1a1a25',
+            borderRadius: '6px',
+            color: copied ? '#4ade80' : '#6b7280',
+            fontSize: '11px',
+            padding: '5px 10px',
+            cursor: 'pointer',
+            fontFamily: 'DM Sans, sans-serif',
+          }}
+        >
+          {copied ? '✓ Link copied' : '🔗 Copy link'}
+        </button>
         {criticals > 0 && (
           <div style={{
             fontSize: '11px',
@@ -1356,9 +2079,20 @@ const ScoreHeader = memo(({ score, prevScore, flags, currentModule, setModule, m
           </div>
         )}
 
-        <div style={{ textAlign: 'right' }}>
+        <button
+          onClick={onScoreClick}
+          title="See how your score is built"
+          style={{
+            textAlign: 'right',
+            background: 'none',
+            border: 'none',
+            padding: 0,
+            cursor: 'pointer',
+            outline: 'none',
+          }}
+        >
           <div style={{ fontSize: '9px', color: '#3a3a4a', textTransform: 'uppercase', letterSpacing: '0.12em', marginBottom: '1px' }}>
-            Investor Score
+            Investor Score ▾
           </div>
           <div style={{
             fontSize: '26px',
@@ -1371,7 +2105,7 @@ const ScoreHeader = memo(({ score, prevScore, flags, currentModule, setModule, m
           }}>
             {score}
           </div>
-        </div>
+        </button>
       </div>
     </div>
   );
@@ -1418,16 +2152,16 @@ const CoachPanel = memo(({ score, flags, marketState, unitState, runwayState, de
     const summary = {
       score,
       flags: flags.map(f => `[${f.severity}] ${f.msg}`),
-      market: { tamB: (marketState.tam / 1e9).toFixed(1), somPct: marketState.somPct },
+      market: { tamB: (derived.tam / 1e9).toFixed(1), somPct: marketState.somPct, sizing: marketState.sizingMode },
       unit: {
         price: unitState.price,
         gm: unitState.grossMargin,
-        cac: unitState.cac,
+        cac: Math.round(derived.cac),
         churn: unitState.churnMonthly,
         ltvCac: derived.ltvCac?.toFixed(1),
         payback: derived.payback?.toFixed(0),
       },
-      runway: { months: derived.runwayMonths, breakevenMo: derived.breakevenMonth },
+      runway: { months: formatRunway(derived), breakevenMo: derived.breakevenMonth },
     };
 
     const prompt = `You are an angel investor coach reviewing a startup pitch deck. The founder's model shows:\n${JSON.stringify(summary, null, 2)}\n\nGive exactly 3 concise, specific, actionable tips to improve their Investor Readiness Score. Use bullet points. Reference actual numbers. Be direct.`;
@@ -1592,55 +2326,1430 @@ const CoachPanel = memo(({ score, flags, marketState, unitState, runwayState, de
 });
 
 // ═══════════════════════════════════════════════════════════════
-// MODULE SHELL — wraps each module with consistent layout
+// SCENARIO BAR — switch, create, duplicate, rename, delete
+// Click a chip to switch · double-click to rename
 // ═══════════════════════════════════════════════════════════════
-const ModuleShell = ({ title, goal, children }) => (
-  <div style={{ maxWidth: '1080px', margin: '0 auto', padding: '28px 24px 60px' }}>
-    <div style={{ marginBottom: '24px' }}>
-      <h2 style={{
-        fontSize: '22px',
-        fontWeight: 800,
-        color: '#e8e4dc',
-        letterSpacing: '-0.03em',
-        marginBottom: '6px',
-        fontFamily: 'DM Sans, sans-serif',
-      }}>
-        {title}
-      </h2>
-      <p style={{ fontSize: '13px', color: '#4b5568', lineHeight: 1.6, maxWidth: '560px' }}>
-        {goal}
-      </p>
-    </div>
-    {children}
-  </div>
-);
+const ScenarioBar = memo(({ scenarios, onAction, onCompare }) => {
+  const [renamingId, setRenamingId] = useState(null);
+  const [nameStr, setNameStr] = useState('');
+
+  const commitRename = () => {
+    const name = nameStr.trim();
+    if (name) onAction({ type: 'RENAME', id: renamingId, name });
+    setRenamingId(null);
+  };
 
-// ─── Section label ────────────────────────────────────────────
-const SectionLabel = ({ children }) => (
-  <div style={{
-    fontSize: '10px',
-    fontWeight: 700,
-    color: '#3a3a4a',
-    textTransform: 'uppercase',
-    letterSpacing: '0.12em',
-    marginBottom: '10px',
-    marginTop: '6px',
-  }}>
-    {children}
-  </div>
-);
+  const smallBtn = {
+    background: 'transparent', border: '1px solid #1a1a25', borderRadius: '6px',
+    color: '#4b5568', fontSize: '11px', padding: '5px 10px',
+    cursor: 'pointer', letterSpacing: '0.04em',
+  };
 
-// ─── Divider ──────────────────────────────────────────────────
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      flexWrap: 'wrap',
+      gap: '6px',
+      padding: '12px 24px 0',
+    }}>
+      <span style={{ fontSize: '10px', color: '#3a3a4a', textTransform: 'uppercase', letterSpacing: '0.1em', marginRight: '4px' }}>
+        Scenarios
+      </span>
+      {scenarios.list.map((sc, i) => {
+        const isActive = sc.id === scenarios.activeId;
+        const color = SCENARIO_COLORS[i % SCENARIO_COLORS.length];
+        return (
+          <div
+            key={sc.id}
+            onClick={() => !isActive && onAction({ type: 'SWITCH', id: sc.id })}
+            onDoubleClick={() => { setRenamingId(sc.id); setNameStr(sc.name); }}
+            title="Click to switch · Double-click to rename"
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '4px 6px 4px 10px',
+              borderRadius: '6px',
+              background: isActive ? 'rgba(99,102,241,0.15)' : '#0b0b0f',
+              border: `1px solid ${isActive ? 'rgba(99,102,241,0.5)' : '#1a1a25'}`,
+              cursor: isActive ? 'default' : 'pointer',
+              fontSize: '11px',
+              color: isActive ? '#c7d2fe' : '#6b7280',
+            }}
+          >
+            <span style={{ width: '7px', height: '7px', borderRadius: '2px', background: color, flexShrink: 0 }} />
+            {renamingId === sc.id ? (
+              <input
+                autoFocus
+                value={nameStr}
+                onChange={(e) => setNameStr(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setRenamingId(null);
+                }}
+                onClick={(e) => e.stopPropagation()}
+                style={{
+                  background: 'transparent', border: 'none', outline: 'none',
+                  color: '#e8e4dc', fontSize: '11px', width: '90px', padding: 0,
+                }}
+              />
+            ) : (
+              <span>{sc.name}</span>
+            )}
+            {scenarios.list.length > 1 && (
+              <button
+                onClick={(e) => { e.stopPropagation(); onAction({ type: 'DELETE', id: sc.id }); }}
+                title="Delete scenario"
+                style={{
+                  background: 'none', border: 'none', color: '#3a3a4a',
+                  fontSize: '12px', cursor: 'pointer', padding: '0 2px', lineHeight: 1,
+                }}
+              >
+                ×
+              </button>
+            )}
+          </div>
+        );
+      })}
+      <button style={smallBtn} onClick={() => onAction({ type: 'CREATE' })}>+ New</button>
+      <button style={smallBtn} onClick={() => onAction({ type: 'DUPLICATE' })}>Duplicate</button>
+      {Object.entries(SCENARIO_PRESETS).map(([key, preset]) => (
+        <button key={key} style={smallBtn} onClick={() => onAction({ type: 'PRESET', preset: key })}>
+          + {preset.label}
+        </button>
+      ))}
+      <button
+        onClick={onCompare}
+        disabled={scenarios.list.length < 2}
+        style={{
+          ...smallBtn,
+          color: scenarios.list.length < 2 ? '#2a2a35' : '#a5b4fc',
+          borderColor: scenarios.list.length < 2 ? '#1a1a25' : 'rgba(99,102,241,0.4)',
+          cursor: scenarios.list.length < 2 ? 'default' : 'pointer',
+        }}
+      >
+        Compare →
+      </button>
+    </div>
+  );
+});
+
+// ═══════════════════════════════════════════════════════════════
+// OVERLAY SHELL — full-screen panel used by the analysis views
+// ═══════════════════════════════════════════════════════════════
+const Overlay = ({ title, subtitle, onClose, maxWidth = '760px', children }) => (
+  <div style={{
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(8,8,9,0.97)',
+    zIndex: 400,
+    display: 'flex',
+    alignItems: 'flex-start',
+    justifyContent: 'center',
+    overflowY: 'auto',
+  }}>
+    <div style={{ width: '100%', maxWidth, padding: '40px 24px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '20px', gap: '16px' }}>
+        <div>
+          <h2 style={{ fontSize: '20px', fontWeight: 800, color: '#e8e4dc', letterSpacing: '-0.03em' }}>
+            {title}
+          </h2>
+          {subtitle && (
+            <p style={{ fontSize: '12px', color: '#4b5568', lineHeight: 1.6, marginTop: '4px' }}>{subtitle}</p>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          style={{
+            background: 'none', border: '1px solid #1a1a25', borderRadius: '7px',
+            color: '#6b7280', fontSize: '12px', padding: '6px 14px', cursor: 'pointer', flexShrink: 0,
+          }}
+        >
+          Close ×
+        </button>
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+// ═══════════════════════════════════════════════════════════════
+// SHARED LINK PROMPT — incoming model differs from local state
+// ═══════════════════════════════════════════════════════════════
+const SharedLinkPrompt = ({ incoming, local, onReplace, onOpenAsScenario, onDismiss }) => {
+  const rows = useMemo(() => {
+    const a = computeScore(local.market, local.unit, local.runway);
+    const b = computeScore(incoming.market, incoming.unit, incoming.runway);
+    return ['score', 'runwayMonths', 'ltvCac', 'founderOwnership'].map(key => {
+      const m = OUTPUT_METRICS[key];
+      return { key, label: m.label, local: m.format(m.read(a)), incoming: m.format(m.read(b)) };
+    });
+  }, [incoming, local]);
+
+  const button = (primary) => ({
+    background: primary ? '#4f46e5' : 'transparent',
+    border: `1px solid ${primary ? '#6366f1' : '#1a1a25'}`,
+    borderRadius: '7px',
+    color: primary ? '#fff' : '#9ca3af',
+    fontSize: '12px',
+    fontWeight: 600,
+    padding: '8px 14px',
+    cursor: 'pointer',
+  });
+
+  return (
+    <Overlay
+      title="Open shared model?"
+      subtitle="This link carries a different model from the one saved in this browser."
+      onClose={onDismiss}
+      maxWidth="480px"
+    >
+      <div style={{ border: '1px solid #1a1a25', borderRadius: '10px', overflow: 'hidden', marginBottom: '20px' }}>
+        {[{ key: 'head', label: '', local: 'Yours', incoming: 'Link' }, ...rows].map((r, i) => (
+          <div
+            key={r.key}
+            style={{
+              display: 'grid',
+              gridTemplateColumns: '1fr 90px 90px',
+              padding: '9px 14px',
+              borderTop: i ? '1px solid #15151d' : 'none',
+              fontSize: i ? '12px' : '10px',
+              color: i ? '#c8c4bc' : '#4b5568',
+              textTransform: i ? 'none' : 'uppercase',
+              letterSpacing: i ? 0 : '0.1em',
+            }}
+          >
+            <span style={{ color: '#6b7280' }}>{r.label}</span>
+            <span style={{ textAlign: 'right', fontFamily: i ? 'JetBrains Mono, monospace' : 'inherit' }}>{r.local}</span>
+            <span style={{ textAlign: 'right', fontFamily: i ? 'JetBrains Mono, monospace' : 'inherit', color: i ? '#a5b4fc' : 'inherit' }}>
+              {r.incoming}
+            </span>
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+        <button onClick={onOpenAsScenario} style={button(true)}>Open as new scenario</button>
+        <button onClick={onReplace} style={button(false)}>Replace my model</button>
+        <button onClick={onDismiss} style={button(false)}>Ignore link</button>
+      </div>
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// WORKSPACE IMPORT — validation errors, or a summary to confirm
+// ═══════════════════════════════════════════════════════════════
+const ValidationErrors = ({ errors }) => (
+  <div style={{
+    border: '1px solid #dc262630', background: '#7f1d1d18', borderRadius: '10px',
+    padding: '14px 16px', display: 'flex', flexDirection: 'column', gap: '6px',
+  }}>
+    {errors.slice(0, 12).map((err, i) => (
+      <div key={i} style={{ fontSize: '12px', color: '#fca5a5', fontFamily: 'JetBrains Mono, monospace', lineHeight: 1.5 }}>
+        {err}
+      </div>
+    ))}
+    {errors.length > 12 && (
+      <div style={{ fontSize: '11px', color: '#6b7280' }}>…and {errors.length - 12} more</div>
+    )}
+  </div>
+);
+
+// Shown once when the saved workspace failed validation on load
+const WorkspaceRecovered = ({ errors, onClose }) => (
+  <Overlay title="Couldn’t restore your saved work" subtitle="Started from the defaults instead" onClose={onClose} maxWidth="560px">
+    <ValidationErrors errors={errors} />
+    <p style={{ fontSize: '12px', color: '#4b5568', lineHeight: 1.6, marginTop: '14px' }}>
+      The unreadable data was backed up in this browser under <code>{LS_KEYS.rejected}</code> and won’t be overwritten.
+    </p>
+  </Overlay>
+);
+
+const WorkspaceImport = ({ result, onConfirm, onClose }) => {
+  if (!result.ok) {
+    return (
+      <Overlay title="Couldn’t import file" subtitle={result.fileName} onClose={onClose} maxWidth="560px">
+        <ValidationErrors errors={result.errors} />
+        <p style={{ fontSize: '12px', color: '#4b5568', lineHeight: 1.6, marginTop: '14px' }}>
+          Nothing was changed. Fix the fields above or export a fresh file.
+        </p>
+      </Overlay>
+    );
+  }
+
+  const { scenarios, module } = result.workspace;
+  return (
+    <Overlay
+      title="Import workspace?"
+      subtitle={`${result.fileName} — replaces all of your current scenarios.`}
+      onClose={onClose}
+      maxWidth="480px"
+    >
+      <div style={{ border: '1px solid #1a1a25', borderRadius: '10px', overflow: 'hidden', marginBottom: '20px' }}>
+        {scenarios.list.map((sc, i) => {
+          const { score } = computeScore(sc.market, sc.unit, sc.runway);
+          return (
+            <div
+              key={sc.id}
+              style={{
+                display: 'flex', justifyContent: 'space-between', padding: '9px 14px',
+                borderTop: i ? '1px solid #15151d' : 'none', fontSize: '12px', color: '#c8c4bc',
+              }}
+            >
+              <span>{sc.name}{sc.id === scenarios.activeId && <span style={{ color: '#4b5568' }}> · active</span>}</span>
+              <span style={{ fontFamily: 'JetBrains Mono, monospace', color: '#a5b4fc' }}>{score}</span>
+            </div>
+          );
+        })}
+      </div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+        <button
+          onClick={onConfirm}
+          style={{
+            background: '#4f46e5', border: '1px solid #6366f1', borderRadius: '7px', color: '#fff',
+            fontSize: '12px', fontWeight: 600, padding: '8px 14px', cursor: 'pointer',
+          }}
+        >
+          Replace workspace
+        </button>
+        <span style={{ fontSize: '11px', color: '#4b5568' }}>Opens on module {module}</span>
+      </div>
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SCENARIO COMPARISON — overlaid cash paths + key metrics table
+// ═══════════════════════════════════════════════════════════════
+// The active scenario is the solid cash line; the rest overlay it
+const ScenarioCompare = ({ scenarios, activeId, onClose }) => {
+  const results = useMemo(() => scenarios.list.map((sc, i) => ({
+    ...sc,
+    color: SCENARIO_COLORS[i % SCENARIO_COLORS.length],
+    result: computeScore(sc.market, sc.unit, sc.runway),
+  })), [scenarios]);
+
+  const primary = results.find(r => r.id === activeId) || results[0];
+  const others = results.filter(r => r !== primary);
+  const cell = { padding: '9px 12px', fontSize: '12px', fontFamily: 'JetBrains Mono, monospace', textAlign: 'right' };
+  const head = { ...cell, fontFamily: 'DM Sans, sans-serif', fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.08em' };
+  const tone = (ok, meh) => (ok ? '#4ade80' : meh ? '#fbbf24' : '#f87171');
+
+  return (
+    <Overlay title="Scenario Comparison" onClose={onClose}>
+      <div style={{
+        background: '#0b0b0f',
+        border: '1px solid #1a1a25',
+        borderRadius: '12px',
+        padding: '18px',
+        marginBottom: '16px',
+      }}>
+        <CashFlowChart
+          cashData={primary.result.derived.cashData}
+          series={others.map(o => ({ id: o.id, color: o.color, cashData: o.result.derived.cashData }))}
+          width={680}
+        />
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '14px', marginTop: '12px' }}>
+          {results.map(r => (
+            <div key={r.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#6b7280' }}>
+              <span style={{ width: '10px', height: r === primary ? '5px' : '3px', borderRadius: '2px', background: r.color }} />
+              {r.name}{r === primary && ' (active)'}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ border: '1px solid #1d1d25', borderRadius: '10px', overflow: 'hidden', background: '#0b0b0f' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #13131a' }}>
+              <th style={{ ...head, textAlign: 'left' }}>Scenario</th>
+              <th style={head}>Score</th>
+              <th style={head}>Runway</th>
+              <th style={head}>Breakeven</th>
+              <th style={head}>LTV/CAC</th>
+              <th style={head}>Dilution</th>
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(r => {
+              const d = r.result.derived;
+              return (
+                <tr key={r.id} style={{ borderBottom: '1px solid #13131a' }}>
+                  <td style={{ ...cell, textAlign: 'left', fontFamily: 'DM Sans, sans-serif', color: '#c8c4bc' }}>
+                    <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '2px', background: r.color, marginRight: '8px' }} />
+                    {r.name}
+                  </td>
+                  <td style={{ ...cell, color: tone(r.result.score >= 80, r.result.score >= 60), fontWeight: 700 }}>{r.result.score}</td>
+                  <td style={{ ...cell, color: tone(d.runwayMonths >= 18, d.runwayMonths >= 12) }}>{formatRunway(d)}</td>
+                  <td style={{ ...cell, color: d.breakevenMonth ? '#9ca3af' : '#f87171' }}>{d.breakevenMonth ? `M${d.breakevenMonth}` : '—'}</td>
+                  <td style={{ ...cell, color: tone(d.ltvCac >= 5, d.ltvCac >= 3) }}>{fmt.ratio(d.ltvCac)}</td>
+                  <td style={{ ...cell, color: tone(d.totalDilution <= 25, d.totalDilution <= 35) }}>{fmt.pct(d.totalDilution, 0)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SCORE WATERFALL — points earned by each scoring rule
+// Opened from the Investor Score in the header.
+// ═══════════════════════════════════════════════════════════════
+const MODULE_COLORS = { 1: '#818cf8', 2: '#4ade80', 3: '#fbbf24' };
+
+const ScoreWaterfall = ({ score, breakdown, onClose }) => {
+  const W = 700, H = 230, PAD = { t: 16, r: 10, b: 48, l: 30 };
+  const IW = W - PAD.l - PAD.r;
+  const IH = H - PAD.t - PAD.b;
+
+  const total = breakdown.reduce((sum, r) => sum + r.earned, 0);
+  const possible = breakdown.reduce((sum, r) => sum + r.possible, 0);
+  const maxY = Math.max(100, possible);
+  const slotW = IW / (breakdown.length + 1);
+  const barW = slotW * 0.62;
+  const ty = (v) => PAD.t + IH - (v / maxY) * IH;
+
+  // Cheapest remaining points: smallest relative move per point gained
+  const ranked = breakdown
+    .filter(r => r.next && r.next.gap != null)
+    .sort((a, b) => a.next.gap / a.next.points - b.next.gap / b.next.points);
+  const cheapest = ranked[0] || null;
+
+  let cum = 0;
+  const bars = breakdown.map((r, i) => {
+    const bar = { ...r, x: PAD.l + i * slotW + (slotW - barW) / 2, from: cum, to: cum + r.earned };
+    cum += r.earned;
+    return bar;
+  });
+  const totalX = PAD.l + breakdown.length * slotW + (slotW - barW) / 2;
+
+  const cell = { padding: '8px 12px', fontSize: '12px', fontFamily: 'JetBrains Mono, monospace', textAlign: 'right', color: '#9ca3af' };
+  const head = { ...cell, fontFamily: 'DM Sans, sans-serif', fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.08em' };
+
+  return (
+    <Overlay
+      title={`Why ${score}? — Score Breakdown`}
+      subtitle={`Each rule adds points toward the Investor Score (capped at 100). ${total} of ${possible} possible points earned.`}
+      onClose={onClose}
+    >
+      <div style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '12px', padding: '18px', marginBottom: '16px' }}>
+        <svg width={W - 40} height={H} viewBox={`0 0 ${W} ${H}`} style={{ overflow: 'visible', display: 'block', maxWidth: '100%' }}>
+          {/* Grid */}
+          {[25, 50, 75, 100].filter(v => v <= maxY).map(v => (
+            <g key={v}>
+              <line x1={PAD.l} x2={W - PAD.r} y1={ty(v)} y2={ty(v)} stroke="#151520" strokeWidth="1" />
+              <text x={PAD.l - 6} y={ty(v) + 3} fill="#3a3a4a" fontSize="9" textAnchor="end">{v}</text>
+            </g>
+          ))}
+
+          {bars.map(b => {
+            const isCheapest = cheapest && cheapest.id === b.id;
+            return (
+              <g key={b.id}>
+                {/* Points still available on this rule */}
+                {b.possible > b.earned && (
+                  <rect x={b.x} y={ty(b.to + (b.possible - b.earned))} width={barW}
+                    height={ty(b.to) - ty(b.to + (b.possible - b.earned))}
+                    fill={isCheapest ? '#f59e0b18' : 'transparent'}
+                    stroke={isCheapest ? '#f59e0b' : '#2a2a35'} strokeDasharray="3,3" />
+                )}
+                {b.earned > 0 && (
+                  <rect x={b.x} y={ty(b.to)} width={barW} height={ty(b.from) - ty(b.to)}
+                    fill={MODULE_COLORS[b.module]} opacity="0.85" rx="2" />
+                )}
+                {/* Connector to next bar */}
+                <line x1={b.x + barW} x2={b.x + slotW} y1={ty(b.to)} y2={ty(b.to)} stroke="#2a2a35" strokeWidth="1" />
+                <text x={b.x + barW / 2} y={ty(b.to + (b.possible - b.earned)) - 4} fill={b.earned > 0 ? '#c8c4bc' : '#4b5568'} fontSize="9" textAnchor="middle">
+                  +{b.earned}
+                </text>
+                <text x={b.x + barW / 2} y={H - PAD.b + 14} fill={isCheapest ? '#fbbf24' : '#6b7280'} fontSize="9" textAnchor="middle">
+                  {b.label}
+                </text>
+                <text x={b.x + barW / 2} y={H - PAD.b + 26} fill="#3a3a4a" fontSize="8" textAnchor="middle">
+                  {b.earned}/{b.possible}
+                </text>
+              </g>
+            );
+          })}
+
+          {/* Final score bar (after the 100 cap) */}
+          <rect x={totalX} y={ty(score)} width={barW} height={ty(0) - ty(score)} fill="#6366f1" rx="2" />
+          <text x={totalX + barW / 2} y={ty(score) - 4} fill="#e8e4dc" fontSize="10" fontWeight="700" textAnchor="middle">{score}</text>
+          <text x={totalX + barW / 2} y={H - PAD.b + 14} fill="#a5b4fc" fontSize="9" fontWeight="700" textAnchor="middle">Score</text>
+          {total > 100 && (
+            <text x={totalX + barW / 2} y={H - PAD.b + 26} fill="#3a3a4a" fontSize="8" textAnchor="middle">capped</text>
+          )}
+        </svg>
+        <div style={{ display: 'flex', gap: '14px', marginTop: '8px', flexWrap: 'wrap' }}>
+          {[['Market', 1], ['Unit Economics', 2], ['Runway + Dilution', 3]].map(([label, id]) => (
+            <div key={id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#6b7280' }}>
+              <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: MODULE_COLORS[id] }} />
+              {label}
+            </div>
+          ))}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '11px', color: '#6b7280' }}>
+            <span style={{ width: '10px', height: '10px', borderRadius: '2px', border: '1px dashed #f59e0b' }} />
+            Cheapest remaining points
+          </div>
+        </div>
+      </div>
+
+      {cheapest && (
+        <div style={{
+          padding: '12px 14px',
+          background: '#78350f18',
+          border: '1px solid #d9770030',
+          borderRadius: '9px',
+          marginBottom: '16px',
+          fontSize: '12px',
+          color: '#ddd8d0',
+          lineHeight: 1.6,
+        }}>
+          <span style={{ color: '#fbbf24', fontWeight: 700 }}>Cheapest next points:</span>{' '}
+          move <b>{cheapest.label}</b> from {cheapest.value} to {cheapest.next.threshold}
+          {' '}for <b>+{cheapest.next.points}</b> points ({fmt.pct(cheapest.next.gap * 100, 0)} change).
+        </div>
+      )}
+
+      <div style={{ border: '1px solid #1d1d25', borderRadius: '10px', overflow: 'hidden', background: '#0b0b0f' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ borderBottom: '1px solid #13131a' }}>
+              <th style={{ ...head, textAlign: 'left' }}>Rule</th>
+              <th style={head}>Current</th>
+              <th style={head}>Points</th>
+              <th style={head}>Next tier</th>
+              <th style={head}>Change needed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {breakdown.map(r => {
+              const isCheapest = cheapest && cheapest.id === r.id;
+              return (
+                <tr key={r.id} style={{ borderBottom: '1px solid #13131a', background: isCheapest ? '#78350f14' : 'transparent' }}>
+                  <td style={{ ...cell, textAlign: 'left', fontFamily: 'DM Sans, sans-serif', color: '#c8c4bc' }}>
+                    <span style={{ display: 'inline-block', width: '8px', height: '8px', borderRadius: '2px', background: MODULE_COLORS[r.module], marginRight: '8px' }} />
+                    {r.label}
+                  </td>
+                  <td style={cell}>{r.value}</td>
+                  <td style={{ ...cell, color: r.earned === r.possible ? '#4ade80' : r.earned > 0 ? '#fbbf24' : '#f87171', fontWeight: 700 }}>
+                    {r.earned}/{r.possible}
+                  </td>
+                  <td style={cell}>{r.next ? `${r.next.threshold} (+${r.next.points})` : 'Maxed ✓'}</td>
+                  <td style={{ ...cell, color: isCheapest ? '#fbbf24' : '#6b7280' }}>
+                    {r.next && r.next.gap != null ? fmt.pct(r.next.gap * 100, 0) : '—'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// SENSITIVITY TORNADO — which assumption moves the needle most
+// ═══════════════════════════════════════════════════════════════
+const SENSITIVITY_SHIFTS = [
+  { value: 'pct10', label: '±10%', mode: 'pct', amount: 10 },
+  { value: 'pct25', label: '±25%', mode: 'pct', amount: 25 },
+  { value: 'step1', label: '±1 step', mode: 'steps', amount: 1 },
+];
+
+const SensitivityView = ({ model, onClose }) => {
+  const [shiftKey, setShiftKey] = useState('pct10');
+  const [metricKey, setMetricKey] = useState('score');
+  const shift = SENSITIVITY_SHIFTS.find(s => s.value === shiftKey);
+  const metric = OUTPUT_METRICS[metricKey];
+
+  const { base, rows } = useMemo(
+    () => runSensitivity(model, shift, metricKey),
+    [model, shift, metricKey],
+  );
+  const baseValue = metric.read(base);
+  const moving = rows.filter(r => r.outputs[metricKey].swing > 1e-9);
+  const inert = rows.filter(r => r.outputs[metricKey].swing <= 1e-9);
+
+  const W = 700, ROW_H = 26, LABEL_W = 150, VALUE_W = 120;
+  const IW = W - LABEL_W - VALUE_W;
+  const H = Math.max(1, moving.length) * ROW_H + 24;
+  const extent = Math.max(1e-9, ...moving.map(r => Math.max(
+    Math.abs(r.outputs[metricKey].low - baseValue),
+    Math.abs(r.outputs[metricKey].high - baseValue),
+  )));
+  const tx = (v) => LABEL_W + IW / 2 + ((v - baseValue) / extent) * (IW / 2 - 4);
+
+  return (
+    <Overlay
+      title="Sensitivity Analysis"
+      subtitle="Each input is shifted down and up while everything else stays put. The widest bars are the assumptions to validate first."
+      onClose={onClose}
+    >
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '16px', alignItems: 'center' }}>
+        <span style={{ fontSize: '11px', color: '#4b5568' }}>Shift:</span>
+        <Toggle value={shiftKey} options={SENSITIVITY_SHIFTS} onChange={setShiftKey} />
+        <span style={{ fontSize: '11px', color: '#4b5568', marginLeft: '8px' }}>Output:</span>
+        <Toggle
+          value={metricKey}
+          options={SENSITIVITY_METRICS.map(value => ({ value, label: OUTPUT_METRICS[value].label }))}
+          onChange={setMetricKey}
+        />
+      </div>
+
+      <div style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '12px', padding: '18px', marginBottom: '12px' }}>
+        <svg width={W - 40} height={H} viewBox={`0 0 ${W} ${H}`} style={{ display: 'block', maxWidth: '100%' }}>
+          <line x1={tx(baseValue)} x2={tx(baseValue)} y1={0} y2={H - 18} stroke="#4b5568" strokeWidth="1" />
+          <text x={tx(baseValue)} y={H - 4} fill="#6b7280" fontSize="9" textAnchor="middle">
+            base {metric.format(baseValue)}
+          </text>
+          {moving.map((r, i) => {
+            const o = r.outputs[metricKey];
+            const y = i * ROW_H + 4;
+            const bar = (v, color) => (
+              <rect x={Math.min(tx(baseValue), tx(v))} y={y} width={Math.abs(tx(v) - tx(baseValue))} height={ROW_H - 8}
+                fill={color} opacity="0.8" rx="2" />
+            );
+            return (
+              <g key={r.field}>
+                <text x={LABEL_W - 10} y={y + 13} fill="#9ca3af" fontSize="10" textAnchor="end">{r.spec.label}</text>
+                {bar(o.low, '#6366f1')}
+                {bar(o.high, '#f59e0b')}
+                <text x={W - VALUE_W + 8} y={y + 13} fill="#4b5568" fontSize="9">
+                  {metric.format(o.low)} ↔ {metric.format(o.high)}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+        <div style={{ display: 'flex', gap: '14px', marginTop: '10px', fontSize: '11px', color: '#6b7280', flexWrap: 'wrap' }}>
+          <span><span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', background: '#6366f1', marginRight: '6px' }} />Input shifted down</span>
+          <span><span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', background: '#f59e0b', marginRight: '6px' }} />Input shifted up</span>
+        </div>
+      </div>
+
+      <div style={{ border: '1px solid #1d1d25', borderRadius: '10px', overflow: 'hidden', background: '#0b0b0f' }}>
+        {moving.map(r => (
+          <OutputRow
+            key={r.field}
+            label={r.spec.label}
+            sublabel={`${r.spec.format(r.lowValue)} ← ${r.spec.format(r.value)} → ${r.spec.format(r.highValue)}`}
+            value={SENSITIVITY_METRICS
+              .map(key => `${OUTPUT_METRICS[key].label.split(' ')[0]} ±${OUTPUT_METRICS[key].format(r.outputs[key].swing / 2)}`)
+              .join(' · ')}
+          />
+        ))}
+      </div>
+      {inert.length > 0 && (
+        <div style={{ fontSize: '11px', color: '#3a3a4a', marginTop: '10px', lineHeight: 1.6 }}>
+          No effect on {metric.label} at this shift: {inert.map(r => r.spec.label).join(', ')}
+        </div>
+      )}
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// GOAL SEEK — "what value of X reaches target Y?"
+// ═══════════════════════════════════════════════════════════════
+// Sensible starting target + lever for each output
+const GOAL_PRESETS = {
+  score: { target: 80, field: 'price' },
+  runwayMonths: { target: 18, field: 'startingCash' },
+  ltvCac: { target: 3, field: 'churnMonthly' },
+  founderOwnership: { target: 65, field: 'optionPool' },
+  payback: { target: 12, field: 'cac' },
+  nrr: { target: 100, field: 'expansionMonthly' },
+  breakevenMonth: { target: 18, field: 'revenueGrowthMoM' },
+};
+
+const GoalSeekView = ({ model, dispatch, onClose }) => {
+  const [metricKey, setMetricKey] = useState('ltvCac');
+  const [targetStr, setTargetStr] = useState(String(GOAL_PRESETS.ltvCac.target));
+  const [picked, setField] = useState(GOAL_PRESETS.ltvCac.field);
+  const fields = activeParams(model);
+  const field = fields.includes(picked) ? picked : fields[0];
+  const metric = OUTPUT_METRICS[metricKey];
+  const spec = PARAM_SPECS[field];
+  const target = parseNumberInput(targetStr);
+
+  const answer = useMemo(
+    () => (isNaN(target) ? null : goalSeek(model, metricKey, target, field)),
+    [model, metricKey, target, field],
+  );
+  const current = model[spec.slice][field];
+
+  const chooseMetric = (key) => {
+    setMetricKey(key);
+    setTargetStr(String(GOAL_PRESETS[key].target));
+    setField(GOAL_PRESETS[key].field);
+  };
+
+  const apply = () => {
+    dispatch({ type: SLICE_ACTIONS[spec.slice], field, value: answer.value });
+    onClose();
+  };
+
+  const label = { fontSize: '11px', color: '#4b5568' };
+
+  return (
+    <Overlay
+      title="Goal Seek"
+      subtitle="Pick an output, a target and one input to vary. The solver searches that input's full range for the value closest to today's that hits the target."
+      onClose={onClose}
+      maxWidth="640px"
+    >
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'auto 1fr',
+        gap: '12px 14px',
+        alignItems: 'center',
+        background: '#0b0b0f',
+        border: '1px solid #1a1a25',
+        borderRadius: '12px',
+        padding: '18px',
+        marginBottom: '16px',
+      }}>
+        <span style={label}>Output</span>
+        <div>
+          <Select
+            value={metricKey}
+            options={Object.entries(OUTPUT_METRICS).map(([value, m]) => ({ value, label: m.label }))}
+            onChange={chooseMetric}
+          />
+          <span style={{ ...label, marginLeft: '10px' }}>
+            now {metric.format(metric.read(computeScore(model.market, model.unit, model.runway)))}
+          </span>
+        </div>
+
+        <span style={label}>Target</span>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={{ fontSize: '13px', color: '#6b7280' }}>{metric.higher ? '≥' : '≤'}</span>
+          <input
+            value={targetStr}
+            onChange={(e) => setTargetStr(e.target.value)}
+            style={{
+              background: '#0d0d10', border: '1px solid #1d1d25', borderRadius: '7px',
+              color: '#e8e4dc', fontSize: '13px', padding: '6px 10px', width: '120px',
+              fontFamily: 'JetBrains Mono, monospace', outline: 'none',
+            }}
+          />
+        </div>
+
+        <span style={label}>By changing</span>
+        <div>
+          <Select
+            value={field}
+            options={fields.map(value => ({ value, label: PARAM_SPECS[value].label }))}
+            onChange={setField}
+          />
+          <span style={{ ...label, marginLeft: '10px' }}>
+            now {spec.format(current)} · range {spec.format(spec.min)}–{spec.format(spec.max)}
+          </span>
+        </div>
+      </div>
+
+      {answer && answer.status === 'met' && (
+        <div style={{ padding: '14px 16px', background: '#052e1615', border: '1px solid #16a34a30', borderRadius: '10px', fontSize: '12px', color: '#4ade80' }}>
+          ✓ Already there — {metric.label} is {metric.format(metric.read(answer.result))} at today's {spec.label}.
+        </div>
+      )}
+
+      {answer && answer.status === 'found' && (
+        <div style={{ padding: '16px', background: 'rgba(99,102,241,0.08)', border: '1px solid rgba(99,102,241,0.35)', borderRadius: '10px' }}>
+          <div style={{ fontSize: '13px', color: '#ddd8d0', lineHeight: 1.6, marginBottom: '12px' }}>
+            Set <b>{spec.label}</b> to{' '}
+            <span style={{ fontFamily: 'JetBrains Mono, monospace', color: '#a5b4fc', fontWeight: 700 }}>{spec.format(answer.value)}</span>
+            {' '}(from {spec.format(current)}) → {metric.label}{' '}
+            <span style={{ fontFamily: 'JetBrains Mono, monospace', color: '#4ade80', fontWeight: 700 }}>
+              {metric.format(metric.read(answer.result))}
+            </span>
+            {' '}· score {answer.result.score}
+          </div>
+          <button
+            onClick={apply}
+            style={{
+              padding: '9px 18px',
+              background: 'linear-gradient(135deg, #4f46e5, #6366f1)',
+              border: 'none',
+              borderRadius: '8px',
+              color: '#fff',
+              fontSize: '12px',
+              fontWeight: 600,
+              cursor: 'pointer',
+            }}
+          >
+            Apply {spec.format(answer.value)} →
+          </button>
+        </div>
+      )}
+
+      {answer && answer.status === 'unreachable' && (
+        <div style={{ padding: '14px 16px', background: '#7f1d1d18', border: '1px solid #dc262625', borderRadius: '10px', fontSize: '12px', color: '#f87171', lineHeight: 1.6 }}>
+          ✗ Can't reach {metric.label} {metric.higher ? '≥' : '≤'} {metric.format(target)} by changing {spec.label} alone.
+          <div style={{ color: '#8a8898', marginTop: '4px' }}>
+            Best within range: {metric.format(answer.best)} at {spec.label} {spec.format(answer.value)}. Try another lever, or the Optimizer for combined changes.
+          </div>
+        </div>
+      )}
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// OPTIMIZER — smallest set of changes that reaches a target score
+// ═══════════════════════════════════════════════════════════════
+const OptimizerView = ({ model, dispatch, onClose }) => {
+  const [targetScore, setTargetScore] = useState(80);
+  const [locked, setLocked] = useState(['tam', 'startingCash']);
+  const [maxChanges, setMaxChanges] = useState('3');
+  const [plans, setPlans] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const base = useMemo(() => computeScore(model.market, model.unit, model.runway), [model]);
+
+  const toggleLock = (field) => {
+    setLocked(prev => (prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]));
+    setPlans(null);
+  };
+
+  const run = () => {
+    setRunning(true);
+    // Yield a frame so the "Searching…" state paints before the search
+    setTimeout(() => {
+      setPlans(optimizeModel(model, targetScore, locked, { maxChanges: Number(maxChanges) }));
+      setRunning(false);
+    }, 30);
+  };
+
+  const apply = (plan) => {
+    plan.changes.forEach(c => dispatch({ type: SLICE_ACTIONS[PARAM_SPECS[c.field].slice], field: c.field, value: c.to }));
+    onClose();
+  };
+
+  const flagDiff = (after) => {
+    const beforeIds = new Set(base.flags.map(f => f.id));
+    const afterIds = new Set(after.flags.map(f => f.id));
+    return {
+      resolved: base.flags.filter(f => !afterIds.has(f.id)),
+      introduced: after.flags.filter(f => !beforeIds.has(f.id)),
+    };
+  };
+
+  return (
+    <Overlay
+      title="Optimizer"
+      subtitle={`Searches combinations of inputs for the smallest changes that lift your score from ${base.score} to the target. Lock anything you can't realistically change.`}
+      onClose={onClose}
+    >
+      <div style={{ display: 'grid', gridTemplateColumns: '200px 1fr', gap: '16px', marginBottom: '16px' }}>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          <ParameterCell
+            label="Target Score"
+            value={targetScore}
+            onChange={(v) => { setTargetScore(v); setPlans(null); }}
+            min={Math.min(100, base.score + 1)} max={100}
+            step={1} dragSensitivity={20}
+            unit="/ 100"
+          />
+          <Toggle
+            value={maxChanges}
+            options={[
+              { value: '2', label: '≤2 changes' },
+              { value: '3', label: '≤3' },
+              { value: '4', label: '≤4' },
+            ]}
+            onChange={(v) => { setMaxChanges(v); setPlans(null); }}
+          />
+          <button
+            onClick={run}
+            disabled={running || base.score >= targetScore}
+            style={{
+              padding: '10px 16px',
+              background: running ? '#1d1d25' : 'linear-gradient(135deg, #4f46e5, #6366f1)',
+              border: 'none',
+              borderRadius: '8px',
+              color: running ? '#4b5568' : '#fff',
+              fontSize: '13px',
+              fontWeight: 600,
+              cursor: running ? 'not-allowed' : 'pointer',
+            }}
+          >
+            {running ? '⟳ Searching…' : base.score >= targetScore ? '✓ Already there' : '→ Find plans'}
+          </button>
+        </div>
+
+        <div>
+          <div style={{ fontSize: '10px', color: '#3a3a4a', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '8px' }}>
+            Click to lock 🔒
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+            {activeParams(model).map(field => {
+              const spec = PARAM_SPECS[field];
+              const isLocked = locked.includes(field);
+              return (
+                <button
+                  key={field}
+                  onClick={() => toggleLock(field)}
+                  style={{
+                    padding: '4px 9px',
+                    borderRadius: '5px',
+                    border: `1px solid ${isLocked ? '#d9770050' : '#1d1d25'}`,
+                    background: isLocked ? '#78350f20' : '#111118',
+                    color: isLocked ? '#fbbf24' : '#6b7280',
+                    fontSize: '10px',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {isLocked ? '🔒 ' : ''}{spec.label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      {plans && plans.length === 0 && (
+        <div style={{ padding: '14px 16px', background: '#7f1d1d18', border: '1px solid #dc262625', borderRadius: '10px', fontSize: '12px', color: '#f87171' }}>
+          ✗ No plan reaches {targetScore} with ≤{maxChanges} changes. Unlock more inputs, allow more changes, or lower the target.
+        </div>
+      )}
+
+      {plans && plans.map((plan, i) => {
+        const { resolved, introduced } = flagDiff(plan.result);
+        return (
+          <div key={i} style={{
+            padding: '14px 16px',
+            background: i === 0 ? 'rgba(99,102,241,0.08)' : '#0b0b0f',
+            border: `1px solid ${i === 0 ? 'rgba(99,102,241,0.35)' : '#1a1a25'}`,
+            borderRadius: '10px',
+            marginBottom: '10px',
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+              <div style={{ fontSize: '12px', color: '#c8c4bc', fontWeight: 600 }}>
+                #{i + 1} · {plan.changes.length} change{plan.changes.length > 1 ? 's' : ''} · score{' '}
+                <span style={{ fontFamily: 'JetBrains Mono, monospace' }}>{base.score} → </span>
+                <span style={{ fontFamily: 'JetBrains Mono, monospace', color: '#4ade80' }}>{plan.result.score}</span>
+              </div>
+              <button
+                onClick={() => apply(plan)}
+                style={{
+                  padding: '6px 14px',
+                  background: 'linear-gradient(135deg, #4f46e5, #6366f1)',
+                  border: 'none',
+                  borderRadius: '7px',
+                  color: '#fff',
+                  fontSize: '11px',
+                  fontWeight: 600,
+                  cursor: 'pointer',
+                }}
+              >
+                Apply plan →
+              </button>
+            </div>
+            {plan.changes.map(c => {
+              const spec = PARAM_SPECS[c.field];
+              const pctChange = c.from !== 0 ? ((c.to - c.from) / Math.abs(c.from)) * 100 : null;
+              return (
+                <div key={c.field} style={{ fontSize: '12px', color: '#8a8898', marginBottom: '3px', fontFamily: 'JetBrains Mono, monospace' }}>
+                  {spec.label}: {spec.format(c.from)} → <span style={{ color: '#a5b4fc' }}>{spec.format(c.to)}</span>
+                  {pctChange != null && (
+                    <span style={{ color: '#4b5568' }}> ({pctChange > 0 ? '+' : ''}{pctChange.toFixed(0)}%)</span>
+                  )}
+                </div>
+              );
+            })}
+            {(resolved.length > 0 || introduced.length > 0) && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px', marginTop: '8px' }}>
+                {resolved.map(f => (
+                  <span key={f.id} style={{ fontSize: '10px', padding: '3px 7px', borderRadius: '4px', background: '#052e1630', color: '#4ade80', textDecoration: 'line-through' }}>
+                    {f.msg}
+                  </span>
+                ))}
+                {introduced.map(f => (
+                  <span key={f.id} style={{ fontSize: '10px', padding: '3px 7px', borderRadius: '4px', background: '#7f1d1d30', color: '#f87171' }}>
+                    + {f.msg}
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// PROJECTION TABLE — month-by-month rows with CSV / XLSX export
+// ═══════════════════════════════════════════════════════════════
+const ProjectionView = ({ model, scenarioName, onClose }) => {
+  const projection = useMemo(() => buildProjection(model.unit, model.runway), [model]);
+  const { months, subtotals } = projection;
+  const fileBase = `projection-${scenarioName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+  const cell = (key, value, { bold = false } = {}) => (
+    <td
+      key={key}
+      style={{
+        padding: '5px 10px',
+        textAlign: key === 'month' ? 'left' : 'right',
+        whiteSpace: 'nowrap',
+        fontWeight: bold ? 700 : 400,
+        color: key === 'endingCash' ? (value < 0 ? '#f87171' : '#c8c4bc')
+          : key === 'fundraise' && value > 0 ? '#4ade80'
+          : key === 'month' ? '#6b7280' : '#9ca3af',
+      }}
+    >
+      {key === 'month' ? value : value === 0 ? '—' : fmt.dollars(value)}
+    </td>
+  );
+
+  const button = {
+    background: 'transparent', border: '1px solid #1a1a25', borderRadius: '7px',
+    color: '#a5b4fc', fontSize: '12px', padding: '6px 14px', cursor: 'pointer',
+  };
+
+  return (
+    <Overlay
+      title="Monthly Projection"
+      subtitle="The rows behind the cash chart. Cash comes in as billed; deferred revenue is what's been billed but not yet recognized. Burn categories sum to gross burn; net cash burn = gross burn − billings; ending cash = opening − net burn + fundraise. The .xlsx keeps those as live formulas."
+      onClose={onClose}
+      maxWidth="1180px"
+    >
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '14px' }}>
+        <button
+          style={button}
+          onClick={() => downloadBlob(new Blob([projectionCSV(projection)], { type: 'text/csv' }), `${fileBase}.csv`)}
+        >
+          Download CSV
+        </button>
+        <button style={button} onClick={() => downloadBlob(projectionXlsx(projection), `${fileBase}.xlsx`)}>
+          Download .xlsx
+        </button>
+      </div>
+      <div style={{ overflowX: 'auto', border: '1px solid #1a1a25', borderRadius: '10px' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '11px', fontFamily: 'JetBrains Mono, monospace' }}>
+          <thead>
+            <tr style={{ background: '#0b0b0f' }}>
+              {PROJECTION_COLUMNS.map(c => (
+                <th
+                  key={c.key}
+                  style={{
+                    padding: '8px 10px',
+                    textAlign: c.key === 'month' ? 'left' : 'right',
+                    fontSize: '9px',
+                    fontWeight: 600,
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.08em',
+                    color: c.burn ? '#6366f1' : '#4b5568',
+                    whiteSpace: 'nowrap',
+                    borderBottom: '1px solid #1a1a25',
+                  }}
+                >
+                  {c.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {months.map(r => (
+              <tr key={r.month} style={{ borderTop: '1px solid #111118' }}>
+                {PROJECTION_COLUMNS.map(c => cell(c.key, r[c.key]))}
+              </tr>
+            ))}
+            {subtotals.map((t, i) => (
+              <tr key={t.label} style={{ borderTop: i === 0 ? '2px solid #1a1a25' : '1px solid #111118', background: '#0b0b0f' }}>
+                {PROJECTION_COLUMNS.map(c => cell(c.key, c.key === 'month' ? t.label : t[c.key], { bold: true }))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// EXIT WATERFALL — who gets what from a sale, preferences first
+// ═══════════════════════════════════════════════════════════════
+// Founder proceeds across sale prices against what their % alone would
+// fetch; the gap between the lines is the preference stack at work
+const FounderProceedsChart = memo(({ capTable, seniority, exitValue, width = 640 }) => {
+  const W = width, H = 200, PAD = { t: 14, r: 12, b: 24, l: 52 };
+  const IW = W - PAD.l - PAD.r;
+  const IH = H - PAD.t - PAD.b;
+
+  const stack = capTable.preferred.reduce((sum, c) => sum + c.invested * c.preference, 0);
+  const maxExit = Math.max(exitValue * 1.5, stack * 4, 10_000_000);
+  const points = useMemo(() => Array.from({ length: 61 }, (_, i) => {
+    const value = (maxExit * i) / 60;
+    return { value, founders: exitWaterfall(capTable, value, seniority).founders };
+  }), [capTable, seniority, maxExit]);
+  const maxY = (capTable.founders / 100) * maxExit || 1;
+
+  const tx = (v) => PAD.l + (v / maxExit) * IW;
+  const ty = (v) => PAD.t + IH - (v / maxY) * IH;
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${tx(p.value).toFixed(1)},${ty(p.founders).toFixed(1)}`).join(' ');
+
+  return (
+    <svg width={W} height={H} style={{ display: 'block', overflow: 'visible' }}>
+      {[0, 0.5, 1].map(f => (
+        <g key={f}>
+          <line x1={PAD.l} x2={W - PAD.r} y1={ty(maxY * f)} y2={ty(maxY * f)} stroke="#151520" strokeWidth="1" />
+          <text x={PAD.l - 6} y={ty(maxY * f) + 3} fill="#2a2a35" fontSize="9" textAnchor="end">{fmt.currency(maxY * f)}</text>
+        </g>
+      ))}
+      {[0, 0.25, 0.5, 0.75, 1].map(f => (
+        <text key={f} x={tx(maxExit * f)} y={H - 6} fill="#2a2a35" fontSize="9" textAnchor={f === 0 ? 'start' : f === 1 ? 'end' : 'middle'}>
+          {fmt.currency(maxExit * f)}
+        </text>
+      ))}
+      {stack > 0 && (
+        <g>
+          <line x1={tx(stack)} x2={tx(stack)} y1={PAD.t} y2={PAD.t + IH} stroke="#4b5568" strokeWidth="1" strokeDasharray="2 3" />
+          <text x={tx(stack) + 4} y={PAD.t + 8} fill="#4b5568" fontSize="9">Preferences {fmt.currency(stack)}</text>
+        </g>
+      )}
+      <line x1={tx(0)} y1={ty(0)} x2={tx(maxExit)} y2={ty(maxY)} stroke="#4b5568" strokeWidth="1" strokeDasharray="4 3" />
+      <path d={path} fill="none" stroke="#818cf8" strokeWidth="2" />
+      <line x1={tx(exitValue)} x2={tx(exitValue)} y1={PAD.t} y2={PAD.t + IH} stroke="#f59e0b" strokeWidth="1" />
+      <circle cx={tx(exitValue)} cy={ty(exitWaterfall(capTable, exitValue, seniority).founders)} r="3.5" fill="#f59e0b" />
+    </svg>
+  );
+});
+
+const ExitWaterfallView = ({ model, dispatch, onClose }) => {
+  const { runway } = model;
+  const { capTable } = useMemo(() => computeScore(model.market, model.unit, runway).derived, [model, runway]);
+  const exit = useMemo(
+    () => exitWaterfall(capTable, runway.exitValue, runway.exitSeniority),
+    [capTable, runway.exitValue, runway.exitSeniority],
+  );
+  const priced = capTable.rounds.filter(r => r.kind === 'priced' && r.amount > 0 && r.valuation > 0);
+
+  // Seed terms live on the runway slice, later rounds on their financing event
+  const setTerm = (id, key, value) => {
+    if (id === 'seed') {
+      dispatch({ type: 'SET_RUNWAY', field: `seed${key[0].toUpperCase()}${key.slice(1)}`, value });
+    } else {
+      dispatch({ type: 'SET_RUNWAY', field: 'financings', value: runway.financings.map(f => (f.id === id ? { ...f, [key]: value } : f)) });
+    }
+  };
+
+  const termsOf = (c) => {
+    if (c.converts) return 'converts to common';
+    const pref = `${fmt.ratio(c.preference)} ${c.participation === 'none' ? 'preference' : PARTICIPATION[c.participation].toLowerCase()}`;
+    return c.participation === 'capped' ? `${pref} to ${fmt.ratio(c.participationCap)}` : pref;
+  };
+  const rows = [
+    ...exit.classes.map(c => ({
+      id: c.id, label: c.label, pct: c.pct, invested: c.invested, payout: c.payout,
+      terms: `${c.series && c.kind === 'convertible' ? `as ${c.series} · ` : ''}${termsOf(c)}`,
+    })),
+    { id: 'pool', label: 'Option Pool', pct: capTable.pool, invested: 0, payout: exit.pool, terms: 'common' },
+    { id: 'founders', label: 'Founders', pct: capTable.founders, invested: 0, payout: exit.founders, terms: 'common' },
+  ];
+
+  const label = { fontSize: '11px', color: '#4b5568' };
+  const head = { fontSize: '9px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.08em' };
+  const mono = { textAlign: 'right', fontFamily: 'JetBrains Mono, monospace' };
+  const foundersShare = runway.exitValue > 0 ? (exit.founders / runway.exitValue) * 100 : 0;
+
+  return (
+    <Overlay
+      title="Exit Waterfall"
+      subtitle="What a sale pays each holder. Preferred stock takes its preference off the top, then either converts to common or, if participating, also shares what's left. Ownership comes from the round-by-round cap table."
+      onClose={onClose}
+      maxWidth="860px"
+    >
+      <div style={{
+        display: 'flex', gap: '16px', alignItems: 'center', flexWrap: 'wrap',
+        background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '12px', padding: '18px', marginBottom: '16px',
+      }}>
+        <div style={{ width: '200px' }}>
+          <ParameterCell
+            {...EXIT_SPECS.exitValue}
+            value={runway.exitValue}
+            onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'exitValue', value: v })}
+            dragSensitivity={15}
+          />
+        </div>
+        <div>
+          <div style={{ ...label, marginBottom: '6px' }}>Seniority</div>
+          <Toggle
+            value={runway.exitSeniority}
+            options={[
+              { value: 'stacked', label: 'Newest first' },
+              { value: 'pari', label: 'Pari passu' },
+            ]}
+            onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'exitSeniority', value: v })}
+          />
+        </div>
+        <div style={{ flex: 1, minWidth: '200px', fontSize: '13px', color: '#ddd8d0', lineHeight: 1.6 }}>
+          Founders take{' '}
+          <span style={{ fontFamily: 'JetBrains Mono, monospace', color: '#a5b4fc', fontWeight: 700 }}>{fmt.currency(exit.founders)}</span>
+          {' '}— {fmt.pct(foundersShare)} of the sale for {fmt.pct(capTable.founders)} of the company.
+        </div>
+      </div>
+
+      <div style={{
+        display: 'grid', gridTemplateColumns: '1.2fr 2fr 60px 80px 90px 56px', gap: '8px 12px',
+        fontSize: '12px', alignItems: 'baseline',
+        border: '1px solid #1a1a25', borderRadius: '12px', padding: '16px', marginBottom: '16px',
+      }}>
+        {['Holder', 'Terms', 'Owns', 'Invested', 'Payout', 'Return'].map((h, i) => (
+          <span key={h} style={{ ...head, textAlign: i > 1 ? 'right' : 'left' }}>{h}</span>
+        ))}
+        {rows.map(r => (
+          <React.Fragment key={r.id}>
+            <span style={{ color: r.id === 'founders' ? '#a5b4fc' : '#c8c4bc' }}>{r.label}</span>
+            <span style={{ color: '#4b5568', fontSize: '11px' }}>{r.terms}</span>
+            <span style={{ ...mono, color: '#6b7280' }}>{fmt.pct(r.pct)}</span>
+            <span style={{ ...mono, color: '#6b7280' }}>{r.invested > 0 ? fmt.currency(r.invested) : '—'}</span>
+            <span style={{ ...mono, color: '#e8e4dc', fontWeight: 700 }}>{fmt.currency(r.payout)}</span>
+            <span style={{ ...mono, color: r.invested > 0 && r.payout < r.invested ? '#f87171' : '#6b7280' }}>
+              {r.invested > 0 ? fmt.ratio(r.payout / r.invested) : '—'}
+            </span>
+          </React.Fragment>
+        ))}
+      </div>
+
+      <SectionLabel>Preference Terms</SectionLabel>
+      {priced.length === 0 ? (
+        <div style={{ ...label, marginBottom: '16px' }}>
+          No priced rounds yet. Unconverted SAFEs take their money back or their as-converted share, whichever is more.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginBottom: '16px' }}>
+          {priced.map(r => (
+            <div key={r.id} style={{
+              display: 'grid', gridTemplateColumns: '140px 160px 1fr 160px', gap: '12px', alignItems: 'center',
+              background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px 14px',
+            }}>
+              <span style={{ fontSize: '12px', color: '#c8c4bc' }}>
+                <span style={{ color: '#4b5568', fontFamily: 'JetBrains Mono, monospace', fontSize: '10px', marginRight: '6px' }}>M{r.month}</span>
+                {r.label}
+              </span>
+              <ParameterCell
+                {...EXIT_SPECS.preference}
+                value={r.preference}
+                onChange={(v) => setTerm(r.id, 'preference', v)}
+                dragSensitivity={30}
+              />
+              <div>
+                <Select
+                  value={r.participation}
+                  options={Object.entries(PARTICIPATION).map(([value, l]) => ({ value, label: l }))}
+                  onChange={(v) => setTerm(r.id, 'participation', v)}
+                />
+              </div>
+              {r.participation === 'capped' ? (
+                <ParameterCell
+                  {...EXIT_SPECS.participationCap}
+                  value={r.participationCap}
+                  onChange={(v) => setTerm(r.id, 'participationCap', v)}
+                  dragSensitivity={30}
+                  hint="Total the round can take, preference included, as a multiple of what it put in"
+                />
+              ) : <span />}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <SectionLabel>Founder Proceeds by Sale Price</SectionLabel>
+      <FounderProceedsChart capTable={capTable} seniority={runway.exitSeniority} exitValue={runway.exitValue} />
+      <div style={{ display: 'flex', gap: '16px', fontSize: '10px', color: '#4b5568', marginTop: '8px' }}>
+        <span><span style={{ color: '#818cf8' }}>━</span> Founders after preferences</span>
+        <span><span style={{ color: '#4b5568' }}>╌</span> Founders' {fmt.pct(capTable.founders)} of the price</span>
+        <span><span style={{ color: '#f59e0b' }}>│</span> This sale</span>
+      </div>
+    </Overlay>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// MODULE SHELL — wraps each module with consistent layout
+// ═══════════════════════════════════════════════════════════════
+const ModuleShell = ({ title, goal, children }) => (
+  <div style={{ maxWidth: '1080px', margin: '0 auto', padding: '28px 24px 60px' }}>
+    <div style={{ marginBottom: '24px' }}>
+      <h2 style={{
+        fontSize: '22px',
+        fontWeight: 800,
+        color: '#e8e4dc',
+        letterSpacing: '-0.03em',
+        marginBottom: '6px',
+        fontFamily: 'DM Sans, sans-serif',
+      }}>
+        {title}
+      </h2>
+      <p style={{ fontSize: '13px', color: '#4b5568', lineHeight: 1.6, maxWidth: '560px' }}>
+        {goal}
+      </p>
+    </div>
+    {children}
+  </div>
+);
+
+// ─── Section label ────────────────────────────────────────────
+const SectionLabel = ({ children }) => (
+  <div style={{
+    fontSize: '10px',
+    fontWeight: 700,
+    color: '#3a3a4a',
+    textTransform: 'uppercase',
+    letterSpacing: '0.12em',
+    marginBottom: '10px',
+    marginTop: '6px',
+  }}>
+    {children}
+  </div>
+);
+
+// ─── Divider ──────────────────────────────────────────────────
 const Divider = () => (
   <div style={{ height: '1px', background: '#14141c', margin: '20px 0' }} />
 );
 
+// ═══════════════════════════════════════════════════════════════
+// SEGMENT EDITOR + SIZING CROSS-CHECK (Module 1, bottom-up mode)
+// ═══════════════════════════════════════════════════════════════
+const SegmentEditor = ({ segments, sizing, dispatch }) => {
+  const set = (next) => dispatch({ type: 'SET_MARKET', field: 'segments', value: next });
+  const update = (id, field, value) => set(segments.map(seg => (seg.id === id ? { ...seg, [field]: value } : seg)));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '8px' }}>
+      {segments.map(seg => {
+        const totals = sizing.segments.find(s => s.id === seg.id);
+        return (
+          <div key={seg.id} style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <input
+                value={seg.name}
+                onChange={(e) => update(seg.id, 'name', e.target.value)}
+                placeholder="Segment name"
+                style={{
+                  flex: 1, background: 'transparent', border: 'none', outline: 'none',
+                  color: '#c8c4bc', fontSize: '12px', fontWeight: 700, fontFamily: 'DM Sans, sans-serif',
+                }}
+              />
+              <span style={{ fontSize: '10px', color: '#4b5568', fontFamily: 'JetBrains Mono, monospace' }}>
+                TAM {fmt.currency(totals.tam)} · SAM {fmt.currency(totals.sam)}
+              </span>
+              <button
+                onClick={() => set(segments.filter(s => s.id !== seg.id))}
+                title="Remove segment"
+                style={{ background: 'none', border: 'none', color: '#4b5568', cursor: 'pointer', fontSize: '13px' }}
+              >
+                ×
+              </button>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px' }}>
+              <ParameterCell
+                {...SEGMENT_SPECS.accounts}
+                value={seg.accounts}
+                onChange={(v) => update(seg.id, 'accounts', v)}
+                dragSensitivity={15}
+              />
+              <ParameterCell
+                {...SEGMENT_SPECS.reachablePct}
+                value={seg.reachablePct}
+                onChange={(v) => update(seg.id, 'reachablePct', v)}
+                dragSensitivity={20}
+              />
+              <ParameterCell
+                {...SEGMENT_SPECS.acv}
+                value={seg.acv}
+                onChange={(v) => update(seg.id, 'acv', v)}
+                dragSensitivity={20}
+                unit="/yr"
+              />
+            </div>
+          </div>
+        );
+      })}
+      <button
+        onClick={() => set([...segments, { ...SEGMENT_DEFAULTS, id: newSegmentId(), name: `Segment ${segments.length + 1}` }])}
+        style={{
+          background: 'transparent', border: '1px dashed #1a1a25', borderRadius: '10px',
+          color: '#818cf8', fontSize: '11px', padding: '8px', cursor: 'pointer',
+        }}
+      >
+        + Add segment
+      </button>
+    </div>
+  );
+};
+
+// Top-down vs bottom-up, side by side. Ratios far from 1× mean one of
+// the two stories needs work before an investor spots the gap.
+const SizingCrossCheck = ({ sizing, active }) => {
+  const { topDown, bottomUp } = sizing;
+  const rows = ['tam', 'sam', 'som'].map(key => {
+    const ratio = topDown[key] > 0 ? bottomUp[key] / topDown[key] : null;
+    const status = ratio == null ? 'bad' : ratio >= 0.5 && ratio <= 2 ? 'good' : ratio >= 0.25 && ratio <= 4 ? 'warn' : 'bad';
+    return { key, ratio, status };
+  });
+  const statusColor = { good: '#4ade80', warn: '#fbbf24', bad: '#f87171' };
+  const column = (label, isActive) => (
+    <span style={{ textAlign: 'right', color: isActive ? '#a5b4fc' : '#4b5568' }}>
+      {label}{isActive ? ' ●' : ''}
+    </span>
+  );
+
+  return (
+    <div>
+      <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '10px' }}>
+        Sizing Cross-check
+      </div>
+      <div style={{
+        display: 'grid', gridTemplateColumns: '50px 1fr 1fr 70px', gap: '6px 10px',
+        fontSize: '11px', fontFamily: 'JetBrains Mono, monospace', alignItems: 'baseline',
+      }}>
+        <span />
+        {column('Top-down', active === 'topDown')}
+        {column('Bottom-up', active === 'bottomUp')}
+        <span style={{ textAlign: 'right', color: '#4b5568' }}>BU / TD</span>
+        {rows.map(r => (
+          <React.Fragment key={r.key}>
+            <span style={{ color: '#9ca3af', fontWeight: 700 }}>{r.key.toUpperCase()}</span>
+            <span style={{ textAlign: 'right', color: '#c8c4bc' }}>{fmt.currency(topDown[r.key])}</span>
+            <span style={{ textAlign: 'right', color: '#c8c4bc' }}>{fmt.currency(bottomUp[r.key])}</span>
+            <span style={{ textAlign: 'right', color: statusColor[r.status] }}>
+              {r.ratio == null ? '—' : fmt.ratio(r.ratio)}
+            </span>
+          </React.Fragment>
+        ))}
+      </div>
+      <div style={{ fontSize: '10px', color: '#3a3a4a', marginTop: '10px', lineHeight: 1.5 }}>
+        Within 0.5–2× the two methods corroborate each other. A top-down TAM far above the
+        bottom-up sum usually means the category is defined too broadly.
+      </div>
+    </div>
+  );
+};
+
 // ═══════════════════════════════════════════════════════════════
 // MODULE 1: MARKET SIZE EXPLORER
 // ═══════════════════════════════════════════════════════════════
 const MarketModule = ({ state, dispatch, flags, derived }) => {
-  const { tam, samPct, somPct, horizon, targetARR } = state;
-  const { sam, som } = derived;
+  const { samPct: topDownSamPct, somPct, horizon, targetARR, sizingMode, segments } = state;
+  const { tam, sam, som, sizing, arrPath, goalYear } = derived;
+  const { rampModel } = state;
+  const bottomUp = sizingMode === 'bottomUp';
+  const y3 = arrPath[Math.min(3, horizon)];
+  const samPct = bottomUp ? (tam > 0 ? (sam / tam) * 100 : 0) : topDownSamPct;
 
   // Status helpers
   const somStatus = (v) => v >= 100_000_000 ? 'good' : v >= 30_000_000 ? 'warn' : 'bad';
@@ -1687,77 +3796,142 @@ const MarketModule = ({ state, dispatch, flags, derived }) => {
             <FunnelChart tam={tam} sam={sam} som={som} />
           </div>
 
+          <div style={{
+            background: '#0b0b0f',
+            border: '1px solid #1a1a25',
+            borderRadius: '12px',
+            padding: '18px',
+            marginBottom: '16px',
+          }}>
+            <SizingCrossCheck sizing={sizing} active={sizingMode} />
+          </div>
+
           <div style={{
             background: '#0b0b0f',
             border: '1px solid #1a1a25',
             borderRadius: '12px',
             padding: '18px',
           }}>
-            <ARRTimeline som={som} horizon={horizon} targetARR={targetARR} />
+            <ARRTimeline points={arrPath} targetARR={targetARR} goalYear={goalYear} rampLabel={RAMP_MODELS[rampModel]} />
           </div>
         </div>
 
         {/* RIGHT: Parameters + Outputs + Flags */}
         <div>
           <SectionLabel>Parameters — drag to adjust</SectionLabel>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '20px' }}>
-            <ParameterCell
-              label="TAM"
-              value={tam}
-              onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'tam', value: v })}
-              min={100_000_000} max={1_000_000_000_000}
-              step={500_000_000} dragSensitivity={30}
-              format={fmt.currency}
-              hint="Total Addressable Market — the entire pie"
-            />
-            <ParameterCell
-              label="SAM %"
-              value={samPct}
-              onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'samPct', value: v })}
-              min={1} max={80}
-              step={1} dragSensitivity={20}
-              format={(v) => fmt.pct(v)}
-              unit="of TAM"
-              hint="Serviceable Addressable Market — what you can realistically reach"
+          <div style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <span style={{ fontSize: '11px', color: '#4b5568' }}>Sizing:</span>
+            <Toggle
+              value={sizingMode}
+              options={[
+                { value: 'topDown', label: 'Top-down' },
+                { value: 'bottomUp', label: 'Bottom-up' },
+              ]}
+              onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'sizingMode', value: v })}
             />
+          </div>
+          {bottomUp && <SegmentEditor segments={segments} sizing={sizing.bottomUp} dispatch={dispatch} />}
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '20px' }}>
+            {!bottomUp && (
+              <>
+                <ParameterCell
+                  {...PARAM_SPECS.tam}
+                  value={state.tam}
+                  onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'tam', value: v })}
+                  dragSensitivity={30}
+                  hint="Total Addressable Market — the entire pie"
+                />
+                <ParameterCell
+                  {...PARAM_SPECS.samPct}
+                  value={topDownSamPct}
+                  onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'samPct', value: v })}
+                  dragSensitivity={20}
+                  unit="of TAM"
+                  hint="Serviceable Addressable Market — what you can realistically reach"
+                />
+              </>
+            )}
             <ParameterCell
-              label="SOM %"
+              {...PARAM_SPECS.somPct}
               value={somPct}
               onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'somPct', value: v })}
-              min={0.5} max={30}
-              step={0.5} dragSensitivity={25}
-              format={(v) => fmt.pct(v)}
+              dragSensitivity={25}
               unit="of SAM"
               hint="Serviceable Obtainable Market — realistic capture in your horizon"
             />
             <ParameterCell
-              label="Horizon"
+              {...PARAM_SPECS.horizon}
               value={horizon}
               onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'horizon', value: v })}
-              min={1} max={10}
-              step={1} dragSensitivity={30}
+              dragSensitivity={30}
               unit="years"
               hint="Time horizon for your projections"
             />
             <div style={{ gridColumn: '1 / -1' }}>
               <ParameterCell
-                label="ARR Goal"
+                {...PARAM_SPECS.targetARR}
                 value={targetARR}
                 onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'targetARR', value: v })}
-                min={100_000} max={1_000_000_000}
-                step={1_000_000} dragSensitivity={30}
-                format={fmt.currency}
+                dragSensitivity={30}
                 hint="Your target Annual Recurring Revenue by end of horizon"
               />
             </div>
           </div>
 
+          <SectionLabel>ARR Ramp</SectionLabel>
+          <div style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '10px' }}>
+            <span style={{ fontSize: '11px', color: '#4b5568' }}>Model:</span>
+            <Toggle
+              value={rampModel}
+              options={Object.entries(RAMP_MODELS).map(([value, label]) => ({ value, label }))}
+              onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'rampModel', value: v })}
+            />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '20px' }}>
+            {rampModel === 't2d3' ? (
+              <ParameterCell
+                {...RAMP_SPECS.t2d3StartArr}
+                value={state.t2d3StartArr}
+                onChange={(v) => dispatch({ type: 'SET_MARKET', field: 't2d3StartArr', value: v })}
+                dragSensitivity={25}
+                hint="Triple, triple, double, double, double from here (capped at SOM)"
+              />
+            ) : (
+              <ParameterCell
+                {...RAMP_SPECS.rampShare}
+                value={state.rampShare}
+                onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'rampShare', value: v })}
+                dragSensitivity={25}
+                unit="by horizon"
+                hint="Share of SOM you reach by the end of the horizon"
+              />
+            )}
+            {rampModel === 'scurve' && (
+              <>
+                <ParameterCell
+                  {...RAMP_SPECS.rampMidpoint}
+                  value={state.rampMidpoint}
+                  onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'rampMidpoint', value: v })}
+                  dragSensitivity={30}
+                  hint="Year adoption grows fastest"
+                />
+                <ParameterCell
+                  {...RAMP_SPECS.rampSteepness}
+                  value={state.rampSteepness}
+                  onChange={(v) => dispatch({ type: 'SET_MARKET', field: 'rampSteepness', value: v })}
+                  dragSensitivity={30}
+                  hint="Higher = a sharper takeoff around the inflection year"
+                />
+              </>
+            )}
+          </div>
+
           <SectionLabel>Outputs</SectionLabel>
           <OutputTable rows={[
             {
               label: 'SAM', value: fmt.currency(sam),
               status: sam >= 1e9 ? 'good' : sam >= 200e6 ? 'warn' : 'bad',
-              sublabel: `${samPct}% of TAM`,
+              sublabel: `${fmt.pct(samPct)} of TAM${bottomUp ? ' · from segments' : ''}`,
             },
             {
               label: 'SOM', value: fmt.currency(som),
@@ -1765,9 +3939,15 @@ const MarketModule = ({ state, dispatch, flags, derived }) => {
               sublabel: `${somPct}% of SAM`,
             },
             {
-              label: 'ARR at Y3 (implied)', value: fmt.currency(som * 0.4 * (Math.min(3, horizon) / horizon)),
-              status: som * 0.24 >= targetARR ? 'good' : 'warn',
-              sublabel: 'Simplified ramp',
+              label: `ARR at Y${y3.year} (implied)`, value: fmt.currency(y3.arr),
+              status: y3.arr >= targetARR ? 'good' : 'warn',
+              sublabel: `${RAMP_MODELS[rampModel]} ramp · ${fmt.pct((y3.arr / (som || 1)) * 100, 0)} of SOM`,
+            },
+            {
+              label: 'ARR Goal Reached',
+              value: goalYear == null ? 'Not in horizon' : `Year ${goalYear}`,
+              status: goalYear == null ? 'bad' : 'good',
+              sublabel: `${fmt.currency(targetARR)} goal · ${fmt.currency(arrPath[horizon].arr)} by Y${horizon}`,
             },
             {
               label: 'Venture Viability',
@@ -1787,20 +3967,238 @@ const MarketModule = ({ state, dispatch, flags, derived }) => {
   );
 };
 
+// ── Retention curve editor ────────────────────────────────────
+// Drag across the chart to draw % retained by month since signup, or
+// paste a cohort row. With no curve the constant-churn shape is shown
+// dimmed and drawing starts from it.
+const RetentionCurveEditor = ({ unit, dispatch }) => {
+  const curve = unit.retentionCurve;
+  const set = (next) => dispatch({ type: 'SET_UNIT', field: 'retentionCurve', value: next });
+  const span = Math.max(24, curve.length);
+  const implied = useMemo(() => cohortCurve({ ...unit, retentionCurve: [] }, span).logos.slice(1), [unit, span]);
+  const [drawing, setDrawing] = useState(false);
+  const [pasteStr, setPasteStr] = useState('');
+  const [pasteError, setPasteError] = useState(false);
+  const svgRef = useRef(null);
+  const curveRef = useRef(curve);
+  curveRef.current = curve;
+
+  const W = 300, H = 110, PAD = 4;
+  const x = (m) => PAD + (m / span) * (W - PAD * 2);
+  const y = (v) => PAD + (1 - v / 100) * (H - PAD * 2);
+
+  const drawAt = useCallback((e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const m = Math.round(((e.clientX - rect.left) / rect.width) * span);
+    const v = (1 - (e.clientY - rect.top) / rect.height) * 100;
+    if (m < 1 || m > span) return;
+    const base = curveRef.current.length ? [...curveRef.current] : implied.map(p => +p.toFixed(1));
+    while (base.length < m) base.push(base.length ? base[base.length - 1] : 100);
+    base[m - 1] = Math.max(0, Math.min(100, v));
+    dispatch({ type: 'SET_UNIT', field: 'retentionCurve', value: normalizeRetentionCurve(base) });
+  }, [span, implied, dispatch]);
+
+  useEffect(() => {
+    if (!drawing) return;
+    const onMove = (e) => drawAt(e);
+    const onUp = () => setDrawing(false);
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+    return () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+    };
+  }, [drawing, drawAt]);
+
+  const applyPaste = () => {
+    const parsed = parseRetentionCurve(pasteStr);
+    setPasteError(!parsed);
+    if (parsed) { set(parsed); setPasteStr(''); }
+  };
+
+  const path = (values) => values.map((v, i) => `${i ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  const tailChurn = curve.length ? (1 - retentionKeep(unit, Infinity)) * 100 : null;
+
+  return (
+    <div style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ fontSize: '11px', color: '#9ca3af', fontWeight: 700 }}>Retention curve</span>
+        {curve.length > 0 && (
+          <button
+            onClick={() => set([])}
+            style={{ background: 'none', border: 'none', color: '#818cf8', fontSize: '10px', cursor: 'pointer' }}
+          >
+            Use constant churn
+          </button>
+        )}
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${W} ${H}`}
+        style={{ width: '100%', height: `${H}px`, cursor: 'crosshair', display: 'block' }}
+        onMouseDown={(e) => { e.preventDefault(); drawAt(e); setDrawing(true); }}
+        preserveAspectRatio="none"
+      >
+        {[25, 50, 75].map(v => (
+          <line key={v} x1={PAD} x2={W - PAD} y1={y(v)} y2={y(v)} stroke="#1a1a25" strokeWidth="1" />
+        ))}
+        <path d={path([100, ...implied])} fill="none" stroke="#4b5568" strokeWidth="1.5"
+          strokeDasharray={curve.length ? '3 3' : undefined} opacity={curve.length ? 0.5 : 1} />
+        {curve.length > 0 && (
+          <>
+            <path d={path([100, ...curve])} fill="none" stroke="#818cf8" strokeWidth="2" />
+            {curve.map((v, i) => <circle key={i} cx={x(i + 1)} cy={y(v)} r="2" fill="#818cf8" />)}
+          </>
+        )}
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '8px', color: '#3a3a4a', marginTop: '2px' }}>
+        <span>M0</span>
+        <span>{curve.length ? `${curve.length} months · then ${fmt.pct(tailChurn)}/mo churn` : `constant ${fmt.pct(unit.churnMonthly)}/mo churn`}</span>
+        <span>M{span}</span>
+      </div>
+      <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+        <input
+          value={pasteStr}
+          onChange={(e) => { setPasteStr(e.target.value); setPasteError(false); }}
+          onKeyDown={(e) => { if (e.key === 'Enter') applyPaste(); }}
+          placeholder="Paste % retained by month, e.g. 82, 74, 70, 68"
+          style={{
+            flex: 1, background: '#111118', border: `1px solid ${pasteError ? '#f87171' : '#1a1a25'}`, borderRadius: '6px',
+            color: '#c8c4bc', fontSize: '11px', padding: '6px 8px', outline: 'none', fontFamily: 'JetBrains Mono, monospace',
+          }}
+        />
+        <button
+          onClick={applyPaste}
+          disabled={!pasteStr.trim()}
+          style={{
+            background: 'transparent', border: '1px solid #1a1a25', borderRadius: '6px',
+            color: '#818cf8', fontSize: '11px', padding: '0 10px', cursor: 'pointer',
+          }}
+        >
+          Apply
+        </button>
+      </div>
+      {pasteError && (
+        <div style={{ fontSize: '10px', color: '#f87171', marginTop: '4px' }}>
+          Couldn't read that — use numbers separated by commas, tabs or spaces
+        </div>
+      )}
+    </div>
+  );
+};
+
+// ── Channel table ─────────────────────────────────────────────
+// One row per acquisition channel with its own CAC, LTV/CAC and payback.
+// Empty means the single CAC; the preset split keeps today's CAC and volume.
+const ChannelTable = ({ unit, acquisition, budget, dispatch }) => {
+  const set = (next) => dispatch({ type: 'SET_UNIT', field: 'channels', value: next });
+  const update = (id, field, value) => set(unit.channels.map(c => (c.id === id ? { ...c, [field]: value } : c)));
+  const byId = Object.fromEntries((acquisition?.channels ?? []).map(c => [c.id, c]));
+  const buttonStyle = {
+    flex: 1, background: 'transparent', border: '1px dashed #1a1a25', borderRadius: '10px',
+    color: '#818cf8', fontSize: '11px', padding: '8px', cursor: 'pointer',
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '20px' }}>
+      {unit.channels.map(c => {
+        const econ = byId[c.id];
+        const tier = econ.ltvCac >= 3 ? 'good' : econ.ltvCac >= 1 ? 'warn' : 'bad';
+        return (
+          <div key={c.id} style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <input
+                value={c.name}
+                onChange={(e) => update(c.id, 'name', e.target.value)}
+                placeholder="Channel"
+                style={{
+                  flex: 1, background: 'transparent', border: 'none', outline: 'none',
+                  color: '#c8c4bc', fontSize: '12px', fontWeight: 700, fontFamily: 'DM Sans, sans-serif',
+                }}
+              />
+              <span style={{ fontSize: '10px', color: '#4b5568', fontFamily: 'JetBrains Mono, monospace' }}>
+                CAC {Number.isFinite(econ.cac) ? fmt.currency(econ.cac) : '—'}
+                {' · '}{Math.min(econ.payback, 99).toFixed(0)} mo payback
+              </span>
+              <span style={{ fontSize: '11px', fontWeight: 700, color: TIER_COLORS[tier], fontFamily: 'JetBrains Mono, monospace' }}>
+                {econ.ltvCac.toFixed(1)}×
+              </span>
+              <button
+                onClick={() => set(unit.channels.filter(x => x.id !== c.id))}
+                title="Remove channel"
+                style={{ background: 'none', border: 'none', color: '#4b5568', cursor: 'pointer', fontSize: '13px' }}
+              >
+                ×
+              </button>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: '6px' }}>
+              <ParameterCell
+                {...CHANNEL_SPECS.spend}
+                value={c.spend}
+                onChange={(v) => update(c.id, 'spend', v)}
+                dragSensitivity={15}
+                unit="/mo"
+              />
+              <ParameterCell
+                {...CHANNEL_SPECS.customers}
+                value={c.customers}
+                onChange={(v) => update(c.id, 'customers', v)}
+                dragSensitivity={15}
+                unit="/mo"
+              />
+              <ParameterCell
+                {...CHANNEL_SPECS.cycleMonths}
+                value={c.cycleMonths}
+                onChange={(v) => update(c.id, 'cycleMonths', v)}
+                dragSensitivity={20}
+              />
+              <ParameterCell
+                {...CHANNEL_SPECS.churnDelta}
+                value={c.churnDelta}
+                onChange={(v) => update(c.id, 'churnDelta', v)}
+                dragSensitivity={25}
+              />
+            </div>
+          </div>
+        );
+      })}
+      {acquisition && (
+        <div style={{ fontSize: '11px', color: '#4b5568', lineHeight: 1.6 }}>
+          Blended: {fmt.currency(acquisition.blended.spend)}/mo ÷ {fmt.num(acquisition.blended.customers)} customers =
+          <span style={{ color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}> {Number.isFinite(acquisition.blended.cac) ? fmt.currency(acquisition.blended.cac) : '—'}</span> CAC
+          · churn Δ shifts each channel's LTV
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: '8px' }}>
+        {!unit.channels.length && (
+          <button onClick={() => set(channelsFromPresets(unit, budget))} style={buttonStyle}>
+            + Split today's budget and CAC into paid, outbound, partner and product-led channels
+          </button>
+        )}
+        <button
+          onClick={() => set([...unit.channels, { ...CHANNEL_DEFAULTS, id: newChannelId() }])}
+          style={buttonStyle}
+        >
+          + Add channel
+        </button>
+      </div>
+    </div>
+  );
+};
+
 // ═══════════════════════════════════════════════════════════════
 // MODULE 2: UNIT ECONOMICS BATTLE
 // ═══════════════════════════════════════════════════════════════
-const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
-  const { price, billing, grossMargin, cac, churnMonthly } = state;
-  const { ltv, payback, ltvCac, avgLifespanMonths } = derived;
+const UnitEconomicsModule = ({ state, runway, dispatch, flags, derived }) => {
+  const { price, billing, grossMargin, cac, churnMonthly, expansionMonthly, contractionMonthly, ltvHorizonMonths } = state;
+  const { ltv, payback, ltvCac, avgLifespanMonths, grr, nrr } = derived;
+  const curved = state.retentionCurve.length > 0;
 
-  const monthlyPrice = billing === 'monthly' ? price
-    : billing === 'quarterly' ? price / 3
-    : price / 12;
+  const monthlyPrice = monthlyPriceOf(state);
   const quarterlyPrice = monthlyPrice * 3;
   const annualPrice    = monthlyPrice * 12;
-  const annualChurn = (1 - Math.pow(1 - churnMonthly / 100, 12)) * 100;
-  const retention = 100 - churnMonthly;
+  const annualChurn = (1 - Math.pow(1 - derived.churnMonthly / 100, 12)) * 100;
+  const retention = +(100 - derived.churnMonthly).toFixed(1);
   const contribMarginPerCustomer = monthlyPrice * (grossMargin / 100);
 
   return (
@@ -1816,7 +4214,7 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
           <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '20px' }}>
             <ConceptCard
               term="LTV — Lifetime Value"
-              definition="How much gross profit one customer generates over their lifetime. Gross Margin = (Revenue − COGS) ÷ Revenue × 100 — where COGS are direct delivery costs (hosting, support, APIs), not salaries or marketing. E.g. $100 price, $20 delivery cost → 80% GM. LTV = (Monthly Price × Gross Margin%) ÷ Monthly Churn Rate."
+              definition="How much gross profit one customer generates over their lifetime. Gross Margin = (Revenue − COGS) ÷ Revenue × 100 — where COGS are direct delivery costs (hosting, support, APIs), not salaries or marketing. E.g. $100 price, $20 delivery cost → 80% GM. LTV = Monthly Price × Gross Margin%, summed month by month as churn, downgrades and upsell shrink or grow it, up to the LTV horizon."
               why="Higher LTV = more budget for acquisition. Every churn point matters exponentially."
               accent="#22c55e"
             />
@@ -1832,6 +4230,12 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
               why="Long payback = capital-intensive growth. >18mo is a Series A risk flag."
               accent="#f59e0b"
             />
+            <ConceptCard
+              term="GRR & NRR"
+              definition="Gross revenue retention: how much of last year's MRR you kept, counting churn and downgrades only (capped at 100%). Net revenue retention adds upsell on top. NRR above 100% means the base grows even with zero new sales."
+              why="NRR is the number growth investors ask for first: ~100% is median, 120%+ is best-in-class."
+              accent="#38bdf8"
+            />
             <ConceptCard
               term="Churn vs Retention"
               definition="5% monthly churn = 46% annual churn — half your customers gone per year. Best SaaS: <1% monthly, often with negative churn via expansion revenue."
@@ -1847,7 +4251,17 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
             padding: '18px',
             marginBottom: '16px',
           }}>
-            <LTVCACChart ltv={ltv} cac={cac} payback={payback} />
+            <LTVCACChart ltv={ltv} cac={derived.cac} payback={payback} channels={derived.acquisition?.channels} />
+          </div>
+
+          <div style={{
+            background: '#0b0b0f',
+            border: '1px solid #1a1a25',
+            borderRadius: '12px',
+            padding: '18px',
+            marginBottom: '16px',
+          }}>
+            <CohortHeatmap unit={state} />
           </div>
 
           <div style={{
@@ -1856,7 +4270,7 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
             borderRadius: '12px',
             padding: '18px',
           }}>
-            <BattleMeter ltvCac={ltvCac} payback={payback} grossMargin={grossMargin} churnMonthly={churnMonthly} />
+            <BattleMeter ltvCac={ltvCac} payback={payback} grossMargin={grossMargin} churnMonthly={derived.churnMonthly} />
           </div>
         </div>
 
@@ -1876,6 +4290,7 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
               ]}
               onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'billing', value: v })}
             />
+            <span style={{ fontSize: '10px', color: '#3a3a4a' }}>How the price is quoted; when cash arrives is set in Module 3</span>
           </div>
 
           {/* Price equivalents bar */}
@@ -1914,44 +4329,77 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
 
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '20px' }}>
             <ParameterCell
+              {...PARAM_SPECS.price}
               label={billing === 'annual' ? 'Price / year' : billing === 'quarterly' ? 'Price / quarter' : 'Price / month'}
               value={price}
               onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'price', value: v })}
-              min={10} max={10_000_000}
               step={billing === 'annual' ? 100 : billing === 'quarterly' ? 50 : 10} dragSensitivity={25}
-              format={(v) => `$${v.toLocaleString()}`}
               unit={billing === 'annual' ? '/yr' : billing === 'quarterly' ? '/qtr' : '/mo'}
               hint="What you charge per customer"
             />
             <ParameterCell
-              label="Gross Margin"
+              {...PARAM_SPECS.grossMargin}
               value={grossMargin}
               onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'grossMargin', value: v })}
-              min={10} max={95}
-              step={1} dragSensitivity={25}
-              format={(v) => fmt.pct(v)}
+              dragSensitivity={25}
               hint="Revenue minus COGS (hosting, support, etc.)"
             />
             <ParameterCell
-              label="CAC"
+              {...PARAM_SPECS.cac}
               value={cac}
               onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'cac', value: v })}
-              min={10} max={100_000}
-              step={50} dragSensitivity={20}
-              format={fmt.currency}
-              hint="All-in cost to acquire one customer (sales + marketing)"
+              dragSensitivity={20}
+              hint={state.channels.length
+                ? 'Not used while acquisition channels are set below'
+                : 'All-in cost to acquire one customer (sales + marketing)'}
             />
             <ParameterCell
-              label="Monthly Churn"
+              {...PARAM_SPECS.churnMonthly}
               value={churnMonthly}
               onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'churnMonthly', value: v })}
-              min={0.1} max={25}
-              step={0.5} dragSensitivity={25}
-              format={(v) => fmt.pct(v)}
+              dragSensitivity={25}
+              unit="/mo"
+              hint={curved
+                ? 'Not used while a retention curve is set below'
+                : 'Always measured monthly, regardless of billing cadence'}
+            />
+          </div>
+
+          <SectionLabel>Retention</SectionLabel>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+            <ParameterCell
+              {...PARAM_SPECS.expansionMonthly}
+              value={expansionMonthly}
+              onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'expansionMonthly', value: v })}
+              dragSensitivity={25}
+              unit="/mo"
+              hint="MRR added by upsell, as a % of the base each month"
+            />
+            <ParameterCell
+              {...PARAM_SPECS.contractionMonthly}
+              value={contractionMonthly}
+              onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'contractionMonthly', value: v })}
+              dragSensitivity={25}
               unit="/mo"
-              hint="Always measured monthly, regardless of billing cadence"
+              hint="MRR lost to downgrades by customers who stay"
+            />
+            <ParameterCell
+              {...LTV_HORIZON_SPEC}
+              value={ltvHorizonMonths}
+              onChange={(v) => dispatch({ type: 'SET_UNIT', field: 'ltvHorizonMonths', value: v })}
+              dragSensitivity={20}
+              hint="LTV counts gross profit up to this many months"
             />
           </div>
+          <RetentionCurveEditor unit={state} dispatch={dispatch} />
+
+          <SectionLabel>Acquisition Channels</SectionLabel>
+          <ChannelTable
+            unit={state}
+            acquisition={derived.acquisition}
+            budget={runway.marketingBudget}
+            dispatch={dispatch}
+          />
 
           <SectionLabel>Outputs</SectionLabel>
           <OutputTable rows={[
@@ -1959,7 +4407,7 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
               label: 'LTV (Gross Profit)',
               value: ltv > 999_000 ? '>$1M' : fmt.currency(ltv),
               status: ltvCac >= 5 ? 'good' : ltvCac >= 3 ? 'warn' : 'bad',
-              sublabel: `Avg lifespan: ${Math.min(avgLifespanMonths, 99).toFixed(0)} months`,
+              sublabel: `Avg lifespan: ${Math.min(avgLifespanMonths, 99).toFixed(0)} months · counted to ${ltvHorizonMonths} mo`,
             },
             {
               label: 'LTV / CAC',
@@ -1985,35 +4433,469 @@ const UnitEconomicsModule = ({ state, dispatch, flags, derived }) => {
               status: annualChurn < 15 ? 'good' : annualChurn < 30 ? 'warn' : 'bad',
               sublabel: `Monthly retention: ${retention}%`,
             },
+            {
+              label: 'Net Revenue Retention',
+              value: fmt.pct(nrr, 0),
+              status: nrr >= 100 ? 'good' : nrr >= 90 ? 'warn' : 'bad',
+              sublabel: `GRR ${fmt.pct(grr, 0)} · ≥100% healthy · ≥120% best-in-class`,
+            },
           ]} />
 
-          <Divider />
+          <Divider />
+
+          <SectionLabel>Flags</SectionLabel>
+          <FlagsPanel flags={flags} moduleId={2} />
+        </div>
+      </div>
+    </ModuleShell>
+  );
+};
+
+// ═══════════════════════════════════════════════════════════════
+// BREAKEVEN HISTOGRAM (Module 3) — inline spark bars for an output row
+// ═══════════════════════════════════════════════════════════════
+const BreakevenHistogram = memo(({ hist, runs }) => {
+  const W = 132, H = 26;
+  const months = hist.length - 1;
+  const barW = W / (months + 2);
+  const maxCount = Math.max(...hist, 1);
+  return (
+    <svg width={W} height={H} style={{ display: 'block' }}>
+      {hist.slice(1).map((count, i) => (
+        <rect key={i}
+          x={i * barW} y={H - (count / maxCount) * H}
+          width={Math.max(1, barW - 1)} height={(count / maxCount) * H}
+          fill="#4ade80" opacity={0.75}
+        >
+          <title>{`M${i + 1}: ${((count / runs) * 100).toFixed(1)}%`}</title>
+        </rect>
+      ))}
+      {/* Never breaks even, pinned to the right */}
+      <rect x={(months + 1) * barW} y={H - (hist[0] / maxCount) * H}
+        width={Math.max(1, barW - 1)} height={(hist[0] / maxCount) * H} fill="#f87171" opacity={0.8}>
+        <title>{`Never: ${((hist[0] / runs) * 100).toFixed(1)}%`}</title>
+      </rect>
+    </svg>
+  );
+});
+
+// ── Monte Carlo hook ──────────────────────────────────────────
+// Debounces input changes, runs the simulation in a worker (or on the
+// main thread as a fallback) and drops results from stale requests.
+function useMonteCarlo(unit, runway) {
+  const { enabled, runs } = runway.uncertainty;
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const workerRef = useRef(null);
+  const requestId = useRef(0);
+
+  useEffect(() => () => { if (workerRef.current) workerRef.current.terminate(); }, []);
+
+  useEffect(() => {
+    const id = ++requestId.current;
+    if (!enabled) { setResult(null); setRunning(false); return; }
+    setRunning(true);
+    const months = scoreHorizon(runway);
+    const timer = setTimeout(() => {
+      if (workerRef.current === null) workerRef.current = createSimWorker() || false;
+      const worker = workerRef.current;
+      const done = (res) => {
+        if (id !== requestId.current) return;
+        setResult(res);
+        setRunning(false);
+      };
+      if (worker) {
+        worker.onmessage = (e) => { if (e.data.id === requestId.current) done(e.data.result); };
+        worker.postMessage({ id, unit, runway, runs, seed: 42, months });
+      } else {
+        done(simulateRunway(unit, runway, runs, 42, months));
+      }
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [enabled, runs, unit, runway]);
+
+  return { result, running };
+}
+
+// One card per financing event. The status line reads off derived.raises,
+// so it shows whether the event actually closed under the current model.
+const FinancingEditor = ({ financings, raises, dispatch }) => {
+  const set = (next) => dispatch({ type: 'SET_RUNWAY', field: 'financings', value: next });
+  const update = (id, field, value) => set(financings.map(f => (f.id === id ? { ...f, [field]: value } : f)));
+  const sorted = [...financings].sort((a, b) => a.month - b.month);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+      {sorted.map(f => {
+        const outcome = raises.find(r => r.id === f.id);
+        const status = !outcome ? { label: 'Past projection · assumed', color: '#4b5568' }
+          : outcome.closed ? { label: `Closes M${f.month}`, color: '#4ade80' }
+          : { label: 'Condition not met', color: '#f87171' };
+        return (
+          <div key={f.id} style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <input
+                value={f.name}
+                onChange={(e) => update(f.id, 'name', e.target.value)}
+                placeholder="Round name"
+                style={{
+                  flex: 1, minWidth: 0, background: 'transparent', border: 'none', outline: 'none',
+                  color: '#c8c4bc', fontSize: '12px', fontWeight: 700, fontFamily: 'DM Sans, sans-serif',
+                }}
+              />
+              <Select
+                value={f.instrument}
+                options={Object.entries(INSTRUMENTS).map(([value, label]) => ({ value, label }))}
+                onChange={(v) => update(f.id, 'instrument', v)}
+              />
+              <span style={{ fontSize: '10px', color: status.color, fontFamily: 'JetBrains Mono, monospace', whiteSpace: 'nowrap' }}>
+                {status.label}
+              </span>
+              <button
+                onClick={() => set(financings.filter(x => x.id !== f.id))}
+                title="Remove financing event"
+                style={{ background: 'none', border: 'none', color: '#4b5568', cursor: 'pointer', fontSize: '13px' }}
+              >
+                ×
+              </button>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px', marginBottom: '6px' }}>
+              <ParameterCell
+                {...FINANCING_SPECS.month}
+                value={f.month}
+                onChange={(v) => update(f.id, 'month', v)}
+                dragSensitivity={30}
+              />
+              <ParameterCell
+                {...FINANCING_SPECS.amount}
+                value={f.amount}
+                onChange={(v) => update(f.id, 'amount', v)}
+                dragSensitivity={25}
+              />
+              <ParameterCell
+                {...valuationSpec(f.instrument)}
+                value={f.valuation}
+                onChange={(v) => update(f.id, 'valuation', v)}
+                dragSensitivity={25}
+              />
+              {isConvertible(f.instrument) ? (
+                <ParameterCell
+                  {...FINANCING_SPECS.discount}
+                  value={f.discount}
+                  onChange={(v) => update(f.id, 'discount', v)}
+                  dragSensitivity={25}
+                  hint="Off the next priced round's price, if that beats the cap"
+                />
+              ) : (
+                <div style={{ fontSize: '11px', color: '#4b5568', alignSelf: 'center' }}>
+                  Post-money <span style={{ color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}>{fmt.currency(f.valuation + f.amount)}</span>
+                </div>
+              )}
+              {!isConvertible(f.instrument) && (
+                <>
+                  <ParameterCell
+                    {...FINANCING_SPECS.poolTarget}
+                    value={f.poolTarget}
+                    onChange={(v) => update(f.id, 'poolTarget', v)}
+                    dragSensitivity={25}
+                    hint="Pool as a % of the post-money once this closes"
+                  />
+                  <ParameterCell
+                    {...FINANCING_SPECS.proRata}
+                    value={f.proRata}
+                    onChange={(v) => update(f.id, 'proRata', v)}
+                    dragSensitivity={25}
+                    hint="How much of their pro-rata earlier investors take up in this round"
+                  />
+                  {f.poolTarget > 0 && (
+                    <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <span style={{ fontSize: '11px', color: '#4b5568' }}>Pool top-up:</span>
+                      <Toggle
+                        value={f.poolTiming}
+                        options={[
+                          { value: 'pre', label: 'Pre-money' },
+                          { value: 'post', label: 'Post-money' },
+                        ]}
+                        onChange={(v) => update(f.id, 'poolTiming', v)}
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <span style={{ fontSize: '11px', color: '#4b5568' }}>Closes:</span>
+              <Select
+                value={f.condition}
+                options={Object.entries(FINANCING_CONDITIONS).map(([value, label]) => ({ value, label }))}
+                onChange={(v) => update(f.id, 'condition', v)}
+              />
+              {f.condition !== 'none' && (
+                <div style={{ flex: 1 }}>
+                  <ParameterCell
+                    {...FINANCING_SPECS[f.condition]}
+                    value={f.threshold}
+                    onChange={(v) => update(f.id, 'threshold', v)}
+                    dragSensitivity={20}
+                    hint={`Checked against month ${f.month}'s ${f.condition === 'arr' ? 'MRR × 12' : 'customer count'}`}
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        );
+      })}
+      <button
+        onClick={() => set([...financings, { ...FINANCING_DEFAULTS, id: newFinancingId(), name: `Raise ${financings.length + 1}` }])}
+        style={{
+          background: 'transparent', border: '1px dashed #1a1a25', borderRadius: '10px',
+          color: '#818cf8', fontSize: '11px', padding: '8px', cursor: 'pointer',
+        }}
+      >
+        + Add financing event
+      </button>
+      <button
+        onClick={() => set([...financings, ...SERIES_LADDER.map(round => ({ ...round, id: newFinancingId() }))])}
+        style={{
+          background: 'transparent', border: '1px dashed #1a1a25', borderRadius: '10px',
+          color: '#4b5568', fontSize: '11px', padding: '8px', cursor: 'pointer',
+        }}
+      >
+        + Add a Series A–C ladder
+      </button>
+    </div>
+  );
+};
+
+// Roles on the payroll: people × annual salary, loaded with benefits,
+// from their start month
+const HiringPlanEditor = ({ hires, benefitsLoad, dispatch }) => {
+  const set = (next) => dispatch({ type: 'SET_RUNWAY', field: 'hires', value: next });
+  const update = (id, field, value) => set(hires.map(h => (h.id === id ? { ...h, [field]: value } : h)));
+  const load = 1 + benefitsLoad / 100;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+      {[...hires].sort((a, b) => a.start - b.start).map(h => (
+        <div key={h.id} style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+            <input
+              value={h.role}
+              onChange={(e) => update(h.id, 'role', e.target.value)}
+              placeholder="Role"
+              style={{
+                flex: 1, background: 'transparent', border: 'none', outline: 'none',
+                color: '#c8c4bc', fontSize: '12px', fontWeight: 700, fontFamily: 'DM Sans, sans-serif',
+              }}
+            />
+            <span style={{ fontSize: '10px', color: '#4b5568', fontFamily: 'JetBrains Mono, monospace' }}>
+              {fmt.currency((h.count * h.salary * load) / 12)}/mo loaded
+            </span>
+            <button
+              onClick={() => set(hires.filter(x => x.id !== h.id))}
+              title="Remove role"
+              style={{ background: 'none', border: 'none', color: '#4b5568', cursor: 'pointer', fontSize: '13px' }}
+            >
+              ×
+            </button>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '6px' }}>
+            <ParameterCell
+              {...BURN_SPECS.count}
+              value={h.count}
+              onChange={(v) => update(h.id, 'count', v)}
+              dragSensitivity={25}
+            />
+            <ParameterCell
+              {...BURN_SPECS.start}
+              value={h.start}
+              onChange={(v) => update(h.id, 'start', v)}
+              dragSensitivity={15}
+            />
+            <ParameterCell
+              {...BURN_SPECS.salary}
+              value={h.salary}
+              onChange={(v) => update(h.id, 'salary', v)}
+              dragSensitivity={15}
+              unit="/yr"
+            />
+          </div>
+        </div>
+      ))}
+      <button
+        onClick={() => set([...hires, { ...HIRE_DEFAULTS, id: newHireId(), start: 1 }])}
+        style={{
+          background: 'transparent', border: '1px dashed #1a1a25', borderRadius: '10px',
+          color: '#818cf8', fontSize: '11px', padding: '8px', cursor: 'pointer',
+        }}
+      >
+        + Add role
+      </button>
+    </div>
+  );
+};
+
+// Infrastructure and operations spend, one monthly line each
+const CostLinesEditor = ({ costs, dispatch }) => {
+  const set = (next) => dispatch({ type: 'SET_RUNWAY', field: 'costs', value: next });
+  const update = (id, field, value) => set(costs.map(c => (c.id === id ? { ...c, [field]: value } : c)));
 
-          <SectionLabel>Flags</SectionLabel>
-          <FlagsPanel flags={flags} moduleId={2} />
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '16px' }}>
+      {costs.map(c => (
+        <div key={c.id} style={{ background: '#0b0b0f', border: '1px solid #1a1a25', borderRadius: '10px', padding: '10px' }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+            <input
+              value={c.name}
+              onChange={(e) => update(c.id, 'name', e.target.value)}
+              placeholder="Line item"
+              style={{
+                flex: 1, background: 'transparent', border: 'none', outline: 'none',
+                color: '#c8c4bc', fontSize: '12px', fontWeight: 700, fontFamily: 'DM Sans, sans-serif',
+              }}
+            />
+            <Select
+              value={c.category}
+              options={Object.entries(COST_CATEGORIES).map(([value, label]) => ({ value, label }))}
+              onChange={(v) => update(c.id, 'category', v)}
+            />
+            <button
+              onClick={() => set(costs.filter(x => x.id !== c.id))}
+              title="Remove line item"
+              style={{ background: 'none', border: 'none', color: '#4b5568', cursor: 'pointer', fontSize: '13px' }}
+            >
+              ×
+            </button>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+            <ParameterCell
+              {...BURN_SPECS.monthly}
+              value={c.monthly}
+              onChange={(v) => update(c.id, 'monthly', v)}
+              dragSensitivity={15}
+              unit="/mo"
+            />
+            <ParameterCell
+              {...BURN_SPECS.start}
+              value={c.start}
+              onChange={(v) => update(c.id, 'start', v)}
+              dragSensitivity={15}
+            />
+          </div>
         </div>
+      ))}
+      <button
+        onClick={() => set([...costs, { ...COST_DEFAULTS, id: newCostId() }])}
+        style={{
+          background: 'transparent', border: '1px dashed #1a1a25', borderRadius: '10px',
+          color: '#818cf8', fontSize: '11px', padding: '8px', cursor: 'pointer',
+        }}
+      >
+        + Add line item
+      </button>
+    </div>
+  );
+};
+
+// Where the money goes today and at the end of the projection — read-only,
+// so the categories always add up to gross burn
+const BurnBreakdown = ({ runway, marketing }) => {
+  const now = burnAt(runway, 0);
+  const end = burnAt(runway, runway.projectionMonths);
+  const rows = [
+    { label: 'Headcount', now: now.headcount, end: end.headcount, color: '#6366f1' },
+    { label: 'Infrastructure', now: now.infra, end: end.infra, color: '#22c55e' },
+    { label: 'Operations', now: now.ops, end: end.ops, color: '#f59e0b' },
+    ...(marketing > 0 ? [{ label: 'Marketing', now: marketing, end: marketing, color: '#38bdf8' }] : []),
+  ];
+  const total = rows.reduce((sum, r) => sum + r.now, 0);
+  const endTotal = rows.reduce((sum, r) => sum + r.end, 0);
+
+  return (
+    <div style={{
+      background: '#0b0b0f',
+      border: '1px solid #1a1a25',
+      borderRadius: '10px',
+      padding: '14px',
+      marginBottom: '16px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#3a3a4a', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '10px' }}>
+        <span>Burn Breakdown · {fmt.currency(total)}/mo</span>
+        <span>M{runway.projectionMonths}: {fmt.currency(endTotal)}/mo · {end.people} people</span>
       </div>
-    </ModuleShell>
+      {rows.map(r => {
+        const share = total > 0 ? (r.now / total) * 100 : 0;
+        return (
+          <div key={r.label} style={{ marginBottom: '8px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+              <span style={{ fontSize: '11px', color: '#4b5568' }}>{r.label}</span>
+              <span style={{ fontSize: '11px', color: r.color, fontFamily: 'JetBrains Mono, monospace' }}>
+                {fmt.pct(share, 0)} · {fmt.currency(r.now)}/mo
+                {Math.round(r.end) !== Math.round(r.now) && <span style={{ color: '#4b5568' }}> → {fmt.currency(r.end)}</span>}
+              </span>
+            </div>
+            <div style={{ height: '4px', background: '#151520', borderRadius: '2px' }}>
+              <div style={{ width: `${share}%`, height: '100%', background: r.color, borderRadius: '2px' }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
   );
 };
 
 // ═══════════════════════════════════════════════════════════════
 // MODULE 3: RUNWAY + DILUTION VISUALIZER
 // ═══════════════════════════════════════════════════════════════
-const RunwayModule = ({ state, dispatch, flags, derived }) => {
+const RunwayModule = ({ state, unit, dispatch, flags, derived }) => {
   const {
-    startingCash, totalMonthlyBurn,
-    burnHeadcount, burnInfra, burnOps,
-    monthlyRevenue, revenueGrowthMoM,
-    fundraiseMonth, fundraiseAmount,
-    safeCapPercent, optionPool,
+    startingCash, hires, benefitsLoad, burnScale, costs,
+    monthlyRevenue, revenueMode, revenueGrowthMoM, marketingBudget, annualPlanPct, quarterlyPlanPct,
+    financings, projectionMonths,
+    seedInstrument, seedAmount, seedValuation, seedDiscount, optionPool, uncertainty,
   } = state;
 
   const {
-    runwayMonths, breakevenMonth, cashData, founderOwnership, totalDilution,
+    runwayMonths, runwayBeyondHorizon, breakevenMonth, projectedMonths, cashData, mrrData, customerData, burnData,
+    deferredData, grossBurn, newCustomersPerMonth, founderOwnership, totalDilution, raises, capTable,
   } = derived;
-
-  const netBurn = totalMonthlyBurn - monthlyRevenue;
+  const laterRounds = capTable.rounds.length - 1;
+  const seedConvertible = isConvertible(seedInstrument);
+
+  const byCustomers = revenueMode === 'customers';
+  const netBurn = grossBurn - monthlyRevenue;
+  const endMrr = mrrData[mrrData.length - 1];
+  const endBurn = burnData[burnData.length - 1];
+  const endCustomers = customerData[customerData.length - 1];
+
+  const { result: sim, running: simRunning } = useMonteCarlo(unit, state);
+  // The same plan with everyone billed monthly, drawn behind the cash line
+  const prepaid = annualPlanPct + quarterlyPlanPct > 0;
+  const allMonthly = useMemo(
+    () => (prepaid ? projectRunway(unit, { ...state, annualPlanPct: 0, quarterlyPlanPct: 0 }, projectedMonths) : null),
+    [prepaid, unit, state, projectedMonths],
+  );
+  const prepayGain = allMonthly ? runwayMonths - allMonthly.runwayMonths : 0;
+  const setUncertainty = (field, value) => dispatch({
+    type: 'SET_RUNWAY', field: 'uncertainty', value: { ...uncertainty, [field]: value },
+  });
+  const deathBy = Math.min(uncertainty.deathByMonth, projectionMonths);
+  // Simulated runs that never hit $0 report the full horizon
+  const simRunway = (m) => (m >= projectedMonths ? `>${projectedMonths}` : m);
+  // Runs cover the score horizon; the chart shows the projection's
+  const simBands = sim && Object.fromEntries(Object.entries(sim.bands).map(([k, band]) => [k, band.slice(0, cashData.length)]));
+  const pDeath = sim ? sim.deathMonths.filter(m => m > 0 && m <= deathBy).length / sim.runs : null;
+  const spreadCell = (label, field, hint, unitLabel = '±%') => (
+    <ParameterCell
+      label={label}
+      value={uncertainty[field]}
+      onChange={(v) => setUncertainty(field, v)}
+      {...UNCERTAINTY_SPECS[field]}
+      dragSensitivity={25}
+      unit={unitLabel}
+      hint={hint}
+    />
+  );
 
   return (
     <ModuleShell
@@ -2035,7 +4917,7 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
             <ConceptCard
               term="Burn Rate"
               definition="Net burn = total expenses minus revenue. A company with $200K expenses and $80K revenue burns $120K/mo net. Track both gross and net."
-              why="Investors watch burn multiple: net burn ÷ new ARR added. <1.5× is efficient."
+              why="Investors watch burn multiple: net burn ÷ new ARR added. <1.5× is efficient — see SaaS Efficiency below."
               accent="#f87171"
             />
             <ConceptCard
@@ -2061,9 +4943,22 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
           }}>
             <CashFlowChart
               cashData={cashData}
-              fundraiseMonth={fundraiseMonth}
-              fundraiseAmount={fundraiseAmount}
+              raises={raises}
+              series={allMonthly ? [{ id: 'allMonthly', color: '#4b5568', cashData: allMonthly.cashData, dashed: true }] : []}
+              bands={simBands}
             />
+            {allMonthly && (
+              <div style={{ fontSize: '10px', color: '#4b5568', marginTop: '8px' }}>
+                ╌ Everyone billed monthly · runway {formatRunway({ runwayMonths: allMonthly.runwayMonths, runwayBeyondHorizon: allMonthly.runwayMonths === projectedMonths })}
+              </div>
+            )}
+            {uncertainty.enabled && (
+              <div style={{ fontSize: '10px', color: '#4b5568', marginTop: '8px' }}>
+                {simRunning || !sim
+                  ? '⟳ Simulating…'
+                  : `${fmt.num(sim.runs)} simulations · shaded P10–P90 · dashed P50`}
+              </div>
+            )}
           </div>
 
           <div style={{
@@ -2073,9 +4968,9 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
             padding: '18px',
           }}>
             <div style={{ fontSize: '10px', color: '#4b5568', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '14px' }}>
-              Cap Table After Seed
+              Ownership by Round
             </div>
-            <OwnershipDonut safeCapPercent={safeCapPercent} optionPool={optionPool} />
+            <OwnershipByRound capTable={capTable} />
           </div>
         </div>
 
@@ -2084,125 +4979,231 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
           <SectionLabel>Cash & Burn</SectionLabel>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '16px' }}>
             <ParameterCell
-              label="Starting Cash"
+              {...PARAM_SPECS.startingCash}
               value={startingCash}
               onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'startingCash', value: v })}
-              min={100_000} max={50_000_000}
-              step={250_000} dragSensitivity={25}
-              format={fmt.currency}
+              dragSensitivity={25}
               hint="Total capital raised (seed, angels, SAFE)"
             />
             <ParameterCell
-              label="Monthly Burn"
-              value={totalMonthlyBurn}
-              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'totalMonthlyBurn', value: v })}
-              min={5_000} max={5_000_000}
-              step={10_000} dragSensitivity={20}
-              format={fmt.currency}
-              unit="/mo"
-              hint="Total operating expenses per month"
+              {...BURN_SPECS.benefitsLoad}
+              value={benefitsLoad}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'benefitsLoad', value: v })}
+              dragSensitivity={25}
+              hint="Payroll taxes, health cover and other benefits on top of salary"
             />
-          </div>
-
-          {/* Burn breakdown */}
-          <div style={{
-            background: '#0b0b0f',
-            border: '1px solid #1a1a25',
-            borderRadius: '10px',
-            padding: '14px',
-            marginBottom: '16px',
-          }}>
-            <div style={{ fontSize: '10px', color: '#3a3a4a', textTransform: 'uppercase', letterSpacing: '0.1em', marginBottom: '10px' }}>
-              Burn Breakdown ({burnHeadcount + burnInfra + burnOps}%)
+            <div style={{ gridColumn: '1 / -1' }}>
+              <ParameterCell
+                {...PARAM_SPECS.burnScale}
+                value={burnScale}
+                onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'burnScale', value: v })}
+                dragSensitivity={25}
+                hint="Scales every salary and cost line below: 80% is a 20% cut across the plan"
+              />
             </div>
-            {[
-              { label: 'Headcount', field: 'burnHeadcount', value: burnHeadcount, color: '#6366f1' },
-              { label: 'Infrastructure', field: 'burnInfra', value: burnInfra, color: '#22c55e' },
-              { label: 'Operations', field: 'burnOps', value: burnOps, color: '#f59e0b' },
-            ].map(b => (
-              <div key={b.field} style={{ marginBottom: '8px' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                  <span style={{ fontSize: '11px', color: '#4b5568' }}>{b.label}</span>
-                  <span style={{ fontSize: '11px', color: b.color, fontFamily: 'JetBrains Mono, monospace' }}>
-                    {b.value}% · {fmt.currency(totalMonthlyBurn * b.value / 100)}/mo
-                  </span>
-                </div>
-                <input
-                  type="range" min={0} max={90} step={5} value={b.value}
-                  onChange={(e) => dispatch({ type: 'SET_RUNWAY', field: b.field, value: Number(e.target.value) })}
-                  style={{
-                    width: '100%', height: '4px',
-                    accentColor: b.color, cursor: 'pointer',
-                  }}
-                />
-              </div>
-            ))}
           </div>
+          <BurnBreakdown runway={state} marketing={derived.marketing} />
+
+          <SectionLabel>Hiring Plan</SectionLabel>
+          <HiringPlanEditor hires={hires} benefitsLoad={benefitsLoad} dispatch={dispatch} />
+
+          <SectionLabel>Infrastructure & Operations</SectionLabel>
+          <CostLinesEditor costs={costs} dispatch={dispatch} />
 
           <SectionLabel>Revenue</SectionLabel>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '16px' }}>
+          <div style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '11px', color: '#4b5568' }}>Engine:</span>
+            <Toggle
+              value={revenueMode}
+              options={[
+                { value: 'flat', label: 'Top-line Growth' },
+                { value: 'customers', label: 'Customer Model' },
+              ]}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'revenueMode', value: v })}
+            />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: byCustomers ? '8px' : '16px' }}>
             <ParameterCell
-              label="Starting MRR"
+              {...PARAM_SPECS.monthlyRevenue}
               value={monthlyRevenue}
               onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'monthlyRevenue', value: v })}
-              min={0} max={5_000_000}
-              step={5_000} dragSensitivity={25}
-              format={fmt.currency}
+              dragSensitivity={25}
               unit="/mo"
             />
+            {byCustomers && unit.channels.length > 0 ? (
+              <div style={{ fontSize: '11px', color: '#4b5568', lineHeight: 1.6, alignSelf: 'center' }}>
+                Acquisition spend comes from {unit.channels.length} channel{unit.channels.length > 1 ? 's' : ''} in Module 2:
+                <span style={{ color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}> {fmt.currency(derived.marketing)}/mo</span>
+              </div>
+            ) : byCustomers ? (
+              <ParameterCell
+                {...PARAM_SPECS.marketingBudget}
+                value={marketingBudget}
+                onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'marketingBudget', value: v })}
+                dragSensitivity={25}
+                unit="/mo"
+                hint="Acquisition spend on top of the plan's burn — divided by CAC to get new customers"
+              />
+            ) : (
+              <ParameterCell
+                {...PARAM_SPECS.revenueGrowthMoM}
+                value={revenueGrowthMoM}
+                onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'revenueGrowthMoM', value: v })}
+                dragSensitivity={25}
+                unit="MoM"
+                hint="Monthly revenue growth rate"
+              />
+            )}
+          </div>
+          {byCustomers && (
+            <div style={{ fontSize: '11px', color: '#4b5568', lineHeight: 1.6, marginBottom: '16px' }}>
+              {fmt.currency(derived.marketing)} ÷ {fmt.currency(derived.cac)}{unit.channels.length > 0 && ' blended'} CAC = <span style={{ color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}>{newCustomersPerMonth.toFixed(1)}</span> new customers/mo
+              · {fmt.pct(unit.churnMonthly)} churn · {fmt.currency(monthlyPriceOf(unit))}/mo price (Module 2)
+            </div>
+          )}
+
+          <SectionLabel>Billing & Collections</SectionLabel>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+            <ParameterCell
+              {...PARAM_SPECS.annualPlanPct}
+              value={annualPlanPct}
+              onChange={(v) => {
+                dispatch({ type: 'SET_RUNWAY', field: 'annualPlanPct', value: v });
+                if (quarterlyPlanPct > 100 - v) dispatch({ type: 'SET_RUNWAY', field: 'quarterlyPlanPct', value: 100 - v });
+              }}
+              dragSensitivity={25}
+              hint="Share of revenue invoiced 12 months up front"
+            />
             <ParameterCell
-              label="MoM Growth"
-              value={revenueGrowthMoM}
-              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'revenueGrowthMoM', value: v })}
-              min={0} max={50}
-              step={1} dragSensitivity={25}
-              format={(v) => fmt.pct(v)}
-              unit="MoM"
-              hint="Monthly revenue growth rate"
+              {...PARAM_SPECS.quarterlyPlanPct}
+              value={quarterlyPlanPct}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'quarterlyPlanPct', value: v })}
+              max={100 - annualPlanPct}
+              dragSensitivity={25}
+              hint="Share invoiced 3 months up front; the rest pays monthly"
             />
           </div>
+          <div style={{ fontSize: '11px', color: '#4b5568', lineHeight: 1.6, marginBottom: '16px' }}>
+            {allMonthly ? (
+              <>
+                Deferred revenue at M{projectionMonths}:{' '}
+                <span style={{ color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}>{fmt.currency(deferredData[deferredData.length - 1])}</span>
+                {' '}· runway {prepayGain > 0 ? `+${prepayGain}` : prepayGain} mo vs everyone paying monthly. Today's customers move onto the mix in M1.
+              </>
+            ) : 'Everyone pays monthly, so cash tracks revenue. Move customers to annual plans to pull cash forward.'}
+          </div>
 
-          <SectionLabel>Fundraise Event (optional)</SectionLabel>
+          <SectionLabel>Financing Events (optional)</SectionLabel>
+          <FinancingEditor financings={financings} raises={raises} dispatch={dispatch} />
+
+          <SectionLabel>Projection</SectionLabel>
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '16px' }}>
             <ParameterCell
-              label="Raise in Month"
-              value={fundraiseMonth}
-              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'fundraiseMonth', value: v })}
-              min={0} max={24}
-              step={1} dragSensitivity={30}
+              {...PROJECTION_SPEC}
+              value={projectionMonths}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'projectionMonths', value: v })}
+              dragSensitivity={30}
               unit="mo"
-              hint="Month 0 = no raise planned"
+              hint="How far the cash chart, projection table and simulations look ahead"
             />
-            <ParameterCell
-              label="Raise Amount"
-              value={fundraiseAmount}
-              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'fundraiseAmount', value: v })}
-              min={0} max={20_000_000}
-              step={250_000} dragSensitivity={25}
-              format={fmt.currency}
-              hint="New capital received in that month"
+          </div>
+
+          <SectionLabel>Uncertainty — Monte Carlo</SectionLabel>
+          <div style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+            <Toggle
+              value={uncertainty.enabled ? 'on' : 'off'}
+              options={[{ value: 'off', label: 'Off' }, { value: 'on', label: 'Simulate' }]}
+              onChange={(v) => setUncertainty('enabled', v === 'on')}
             />
+            {uncertainty.enabled && (
+              <Toggle
+                value={uncertainty.distribution}
+                options={[
+                  { value: 'uniform', label: 'Uniform' },
+                  { value: 'triangular', label: 'Triangular' },
+                  { value: 'normal', label: 'Normal' },
+                ]}
+                onChange={(v) => setUncertainty('distribution', v)}
+              />
+            )}
           </div>
+          {uncertainty.enabled && (
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '16px' }}>
+              {spreadCell('Growth Spread', 'growth', 'Range around MoM growth (top-line mode)')}
+              {spreadCell('Churn Spread', 'churn', 'Range around monthly churn (customer mode)')}
+              {spreadCell('Burn Spread', 'burn', 'Range around monthly burn')}
+              {spreadCell('Raise Amount Spread', 'raiseAmount', 'Range around each financing amount')}
+              {spreadCell('Raise Timing Slip', 'raiseMonth', 'Months each financing can land early or late', '±mo')}
+              <ParameterCell
+                label="P($0) by Month"
+                value={deathBy}
+                onChange={(v) => setUncertainty('deathByMonth', v)}
+                {...UNCERTAINTY_SPECS.deathByMonth}
+                max={projectionMonths}
+                dragSensitivity={30}
+                unit="mo"
+                hint="Report the probability of running out of cash by this month"
+              />
+              <div style={{ gridColumn: '1 / -1' }}>
+                <ParameterCell
+                  label="Simulations"
+                  value={uncertainty.runs}
+                  onChange={(v) => setUncertainty('runs', v)}
+                  {...UNCERTAINTY_SPECS.runs}
+                  dragSensitivity={20}
+                  unit="runs"
+                  hint="More runs = smoother bands, slower refresh"
+                />
+              </div>
+            </div>
+          )}
 
-          <SectionLabel>Dilution Assumptions</SectionLabel>
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '20px' }}>
+          <SectionLabel>Seed Terms</SectionLabel>
+          <div style={{ marginBottom: '8px', display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '11px', color: '#4b5568' }}>Instrument:</span>
+            <Select
+              value={seedInstrument}
+              options={Object.entries(INSTRUMENTS).map(([value, label]) => ({ value, label }))}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'seedInstrument', value: v })}
+            />
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+            <ParameterCell
+              {...PARAM_SPECS.seedAmount}
+              value={seedAmount}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'seedAmount', value: v })}
+              dragSensitivity={25}
+              hint="Invested in the seed — usually part of Starting Cash"
+            />
             <ParameterCell
-              label="SAFE / Equity %"
-              value={safeCapPercent}
-              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'safeCapPercent', value: v })}
-              min={0} max={50}
-              step={1} dragSensitivity={25}
-              format={(v) => fmt.pct(v)}
-              hint="Investor ownership after seed conversion"
+              {...PARAM_SPECS.seedValuation}
+              {...valuationSpec(seedInstrument)}
+              value={seedValuation}
+              onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'seedValuation', value: v })}
+              dragSensitivity={25}
+              hint={seedConvertible
+                ? 'Post-money cap: the SAFE owns amount ÷ cap. 0 = uncapped'
+                : 'Valuation before the new money goes in'}
             />
+            {seedConvertible ? (
+              <ParameterCell
+                {...PARAM_SPECS.seedDiscount}
+                value={seedDiscount}
+                onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'seedDiscount', value: v })}
+                dragSensitivity={25}
+                hint="Off the next priced round's price, if that beats the cap"
+              />
+            ) : (
+              <div style={{ fontSize: '11px', color: '#4b5568', lineHeight: 1.6, alignSelf: 'center' }}>
+                Post-money <span style={{ color: '#a5b4fc', fontFamily: 'JetBrains Mono, monospace' }}>{fmt.currency(seedValuation + seedAmount)}</span>
+              </div>
+            )}
             <ParameterCell
-              label="Option Pool"
+              {...PARAM_SPECS.optionPool}
               value={optionPool}
               onChange={(v) => dispatch({ type: 'SET_RUNWAY', field: 'optionPool', value: v })}
-              min={0} max={30}
-              step={1} dragSensitivity={25}
-              format={(v) => fmt.pct(v)}
-              hint="Employee equity reserved in cap table"
+              dragSensitivity={25}
+              hint="Employee equity carved out of the founders after the seed"
             />
           </div>
 
@@ -2211,18 +5212,43 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
             {
               label: 'Net Monthly Burn',
               value: `${netBurn > 0 ? '-' : '+'}${fmt.currency(Math.abs(netBurn))}/mo`,
-              status: netBurn < 0 ? 'good' : netBurn < totalMonthlyBurn * 0.5 ? 'warn' : 'bad',
-              sublabel: netBurn <= 0 ? 'Cash flow positive!' : `Burning ${fmt.currency(netBurn)}/mo net`,
+              status: netBurn < 0 ? 'good' : netBurn < grossBurn * 0.5 ? 'warn' : 'bad',
+              sublabel: netBurn <= 0 ? 'Cash flow positive!' : `Burning ${fmt.currency(netBurn)}/mo net`
+                + (byCustomers ? ' incl. marketing' : ''),
+            },
+            {
+              label: `MRR at Month ${projectionMonths}`,
+              value: `${fmt.currency(endMrr)}/mo`,
+              status: endMrr >= endBurn ? 'good' : endMrr >= endBurn * 0.5 ? 'warn' : 'bad',
+              sublabel: byCustomers
+                ? `${fmt.num(Math.round(endCustomers))} customers · LTV/CAC drives this`
+                : `${revenueGrowthMoM}% MoM compounding`,
             },
             {
               label: 'Runway',
-              value: `${runwayMonths} months`,
+              value: `${runwayBeyondHorizon ? '> ' : ''}${runwayMonths} months`,
               status: runwayMonths >= 18 ? 'good' : runwayMonths >= 12 ? 'warn' : 'bad',
-              sublabel: `≥18mo target · ≥12mo minimum`,
+              sublabel: sim
+                ? `P10–P90: ${simRunway(sim.runwayPct.p10)}–${simRunway(sim.runwayPct.p90)} mo · median ${simRunway(sim.runwayPct.p50)}`
+                : `≥18mo target · ≥12mo minimum`,
             },
+            ...(sim ? [
+              {
+                label: `P($0) by Month ${deathBy}`,
+                value: fmt.pct(pDeath * 100),
+                status: pDeath < 0.1 ? 'good' : pDeath < 0.3 ? 'warn' : 'bad',
+                sublabel: `Share of ${fmt.num(sim.runs)} runs that run out of cash`,
+              },
+              {
+                label: 'Breakeven Distribution',
+                value: <BreakevenHistogram hist={sim.breakevenHist} runs={sim.runs} />,
+                status: 'neutral',
+                sublabel: `M1–M${projectedMonths} · red = never (${fmt.pct((sim.breakevenHist[0] / sim.runs) * 100, 0)})`,
+              },
+            ] : []),
             {
               label: 'Breakeven Month',
-              value: breakevenMonth ? `Month ${breakevenMonth}` : 'Beyond 24mo',
+              value: breakevenMonth ? `Month ${breakevenMonth}` : `Beyond ${projectedMonths}mo`,
               status: breakevenMonth && breakevenMonth <= 18 ? 'good' : breakevenMonth ? 'warn' : 'bad',
               sublabel: 'When revenue covers all burn',
             },
@@ -2230,7 +5256,8 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
               label: 'Founder Ownership',
               value: fmt.pct(founderOwnership),
               status: founderOwnership >= 65 ? 'good' : founderOwnership >= 50 ? 'warn' : 'bad',
-              sublabel: `After ${safeCapPercent}% SAFE + ${optionPool}% pool`,
+              sublabel: `After the ${INSTRUMENTS[seedInstrument]} seed + ${optionPool}% pool`
+                + (laterRounds ? ` + ${laterRounds} later round${laterRounds > 1 ? 's' : ''}` : ''),
             },
             {
               label: 'Total Dilution',
@@ -2240,6 +5267,9 @@ const RunwayModule = ({ state, dispatch, flags, derived }) => {
             },
           ]} />
 
+          <SectionLabel>SaaS Efficiency — next 12 months</SectionLabel>
+          <EfficiencyPanel efficiency={derived.efficiency} payback={derived.payback} />
+
           <Divider />
 
           <SectionLabel>Flags</SectionLabel>
@@ -2465,36 +5495,255 @@ const IntroScreen = ({ onStart }) => (
   </div>
 );
 
+// ═══════════════════════════════════════════════════════════════
+// HISTORY DRAWER — every edit with its score delta; click to jump
+// ═══════════════════════════════════════════════════════════════
+const HistoryDrawer = memo(({ entries, cursor, onJump, onClose }) => (
+  <div style={{
+    position: 'fixed',
+    left: 0,
+    top: '58px',
+    bottom: 0,
+    width: '280px',
+    background: '#0b0b0f',
+    borderRight: '1px solid #1a1a25',
+    zIndex: 250,
+    display: 'flex',
+    flexDirection: 'column',
+    padding: '18px 14px',
+  }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: '4px' }}>
+      <div style={{ fontSize: '13px', fontWeight: 700, color: '#c8c4bc' }}>History</div>
+      <button
+        onClick={onClose}
+        style={{ background: 'none', border: 'none', color: '#4b5568', fontSize: '14px', cursor: 'pointer' }}
+      >
+        ×
+      </button>
+    </div>
+    <div style={{ fontSize: '11px', color: '#3a3a4a', lineHeight: 1.5, marginBottom: '14px' }}>
+      ⌘/Ctrl+Z undo · ⇧⌘Z / Ctrl+Y redo · click a row to jump back
+    </div>
+    <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+      {entries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => {
+        const isCurrent = i === cursor;
+        const isFuture = i > cursor;
+        const delta = i > 0 ? entry.score - entries[i - 1].score : 0;
+        return (
+          <button
+            key={`${i}-${entry.at}`}
+            onClick={() => onJump(i)}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '8px 10px',
+              borderRadius: '7px',
+              border: `1px solid ${isCurrent ? 'rgba(99,102,241,0.5)' : '#15151d'}`,
+              background: isCurrent ? 'rgba(99,102,241,0.12)' : 'transparent',
+              opacity: isFuture ? 0.45 : 1,
+              cursor: isCurrent ? 'default' : 'pointer',
+              textAlign: 'left',
+            }}
+          >
+            <div style={{ minWidth: 0 }}>
+              <div style={{ fontSize: '11px', color: '#c8c4bc', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {entry.label}
+              </div>
+              <div style={{ fontSize: '9px', color: '#3a3a4a', marginTop: '2px' }}>
+                {new Date(entry.at).toLocaleTimeString()}
+              </div>
+            </div>
+            <div style={{ textAlign: 'right', flexShrink: 0, fontFamily: 'JetBrains Mono, monospace' }}>
+              <div style={{ fontSize: '12px', color: '#9ca3af', fontWeight: 700 }}>{entry.score}</div>
+              {delta !== 0 && (
+                <div style={{ fontSize: '9px', color: delta > 0 ? '#4ade80' : '#f87171' }}>
+                  {delta > 0 ? '+' : ''}{delta}
+                </div>
+              )}
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  </div>
+));
+
+// ── Model history hook ────────────────────────────────────────
+// Snapshots market/unit/runway after every change so edits can be
+// undone, redone or jumped back to. Changes made while a mouse button is
+// held (a ParameterCell drag, a range slider) fold into one entry.
+// `pendingRef` collects the dispatch actions behind the next snapshot so
+// the entry can be labelled.
+const HISTORY_LIMIT = 200;
+
+function describeChanges(changes) {
+  if (changes.length === 0) return 'Edit';
+  const labelled = changes.find(c => c.label);
+  if (labelled) return labelled.label;
+  if (changes.length > 1) return `${changes.length} inputs changed`;
+  const { field, value } = changes[0];
+  const spec = PARAM_SPECS[field];
+  if (spec) return `${spec.label} → ${spec.format(value)}`;
+  return typeof value === 'object' ? `${field} updated` : `${field} → ${value}`;
+}
+
+// Keeps the latest action per field, in first-touched order
+function mergeChanges(prev, actions) {
+  const merged = [...prev];
+  for (const a of actions) {
+    const i = merged.findIndex(c => c.field === a.field);
+    if (i >= 0) merged[i] = a; else merged.push(a);
+  }
+  return merged;
+}
+
+function useModelHistory(model, score, load, pendingRef) {
+  const { market, unit, runway } = model;
+  const [history, setHistory] = useState({ entries: [], cursor: -1 });
+  const restoring = useRef(false);
+  const resetLabel = useRef('Session start');
+  const gesture = useRef({ active: false, recorded: false });
+  // Read when the model changes; a score change alone isn't a history step
+  const scoreRef = useRef(score);
+  scoreRef.current = score;
+
+  useEffect(() => {
+    const down = () => { gesture.current = { active: true, recorded: false }; };
+    const up = () => { gesture.current.active = false; };
+    window.addEventListener('mousedown', down);
+    window.addEventListener('mouseup', up);
+    return () => {
+      window.removeEventListener('mousedown', down);
+      window.removeEventListener('mouseup', up);
+    };
+  }, []);
+
+  useEffect(() => {
+    const actions = pendingRef.current;
+    pendingRef.current = [];
+    if (restoring.current) { restoring.current = false; return; }
+
+    const snapshot = { market, unit, runway, score: scoreRef.current, at: Date.now() };
+    const reset = resetLabel.current;
+    resetLabel.current = null;
+    const g = gesture.current;
+    const coalesce = g.active && g.recorded;
+    if (g.active) g.recorded = true;
+
+    setHistory(h => {
+      if (reset) return { entries: [{ ...snapshot, label: reset, changes: [] }], cursor: 0 };
+      const entries = h.entries.slice(0, h.cursor + 1);
+      if (coalesce && entries.length > 1) {
+        const changes = mergeChanges(entries[entries.length - 1].changes, actions);
+        entries[entries.length - 1] = { ...snapshot, changes, label: describeChanges(changes) };
+      } else {
+        const changes = mergeChanges([], actions);
+        entries.push({ ...snapshot, changes, label: describeChanges(changes) });
+      }
+      const trimmed = entries.slice(-HISTORY_LIMIT);
+      return { entries: trimmed, cursor: trimmed.length - 1 };
+    });
+  }, [market, unit, runway, pendingRef]);
+
+  const jump = useCallback((index) => {
+    const entry = history.entries[index];
+    if (!entry || index === history.cursor) return;
+    if (entry.market !== market || entry.unit !== unit || entry.runway !== runway) {
+      restoring.current = true;
+      load(entry);
+    }
+    setHistory(h => ({ ...h, cursor: index }));
+  }, [history, market, unit, runway, load]);
+
+  const undo = useCallback(() => jump(history.cursor - 1), [jump, history.cursor]);
+  const redo = useCallback(() => jump(history.cursor + 1), [jump, history.cursor]);
+
+  // Start a fresh timeline (e.g. after switching scenario)
+  const reset = useCallback((label) => { resetLabel.current = label; }, []);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      const tag = e.target.tagName;
+      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return; // native text undo
+      if (!(e.metaKey || e.ctrlKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) { e.preventDefault(); undo(); }
+      else if ((key === 'z' && e.shiftKey) || key === 'y') { e.preventDefault(); redo(); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [undo, redo]);
+
+  return {
+    entries: history.entries,
+    cursor: history.cursor,
+    canUndo: history.cursor > 0,
+    canRedo: history.cursor < history.entries.length - 1,
+    undo, redo, jump, reset,
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // ROOT APP
 // ═══════════════════════════════════════════════════════════════
 export default function App() {
   // Lazy initialisers read from localStorage on first mount only.
-  // If a user has visited before their values are restored; otherwise
-  // the DEFAULTS produce the intentionally "mediocre" starting score.
+  // If a user has visited before their values are restored (migrated to
+  // the current schema); otherwise the DEFAULTS produce the intentionally
+  // "mediocre" starting score.
+  // A share link in the hash is read once here and skips the intro.
+  const [{ workspace: stored, rejected }] = useState(loadWorkspace);
+  const [storageErrors, setStorageErrors] = useState(rejected?.errors ?? null);
+  const [sharedLink, setSharedLink] = useState(() => {
+    try { return decodeShareHash(window.location.hash); } catch { return null; }
+  });
   const [screen, setScreen] = useState(() => {
+    if (sharedLink) return 'modules';
     try { return localStorage.getItem(LS_KEYS.screen) || 'intro'; } catch { return 'intro'; }
   });
   const [currentModule, setCurrentModule] = useState(() => {
-    try { return Number(localStorage.getItem(LS_KEYS.module)) || 1; } catch { return 1; }
+    return sharedLink?.module || stored.module;
   });
-  const [market, setMarket] = useState(() => loadState(LS_KEYS.market, DEFAULTS.market));
-  const [unit, setUnit] = useState(() => loadState(LS_KEYS.unit, DEFAULTS.unit));
-  const [runway, setRunway] = useState(() => loadState(LS_KEYS.runway, DEFAULTS.runway));
+  const [scenarios, setScenarios] = useState(stored.scenarios);
+  const activeScenario = scenarios.list.find(sc => sc.id === scenarios.activeId) || scenarios.list[0];
+  const [market, setMarket] = useState(() => activeScenario.market);
+  const [unit, setUnit] = useState(() => activeScenario.unit);
+  const [runway, setRunway] = useState(() => activeScenario.runway);
+  const [comparing, setComparing] = useState(false);
+  const [showBreakdown, setShowBreakdown] = useState(false);
+  const [tool, setTool] = useState(null); // open analysis overlay, if any
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const pendingChanges = useRef([]); // actions awaiting a history snapshot
 
   const [flashcardActive, setFlashcardActive] = useState(false);
   const [flashcardModule, setFlashcardModule] = useState(1);
   const [flashcardIndex, setFlashcardIndex]   = useState(0);
-  const [seenDecks, setSeenDecks] = useState(() => {
-    try { return JSON.parse(localStorage.getItem(LS_KEYS.seenDecks) || '[]'); }
-    catch { return []; }
-  });
+  const [seenDecks, setSeenDecks] = useState(stored.seenDecks);
 
-  // Persist every state slice to localStorage whenever it changes.
-  // Using separate effects keeps each save minimal and independent.
-  useEffect(() => { saveState(LS_KEYS.market, market); }, [market]);
-  useEffect(() => { saveState(LS_KEYS.unit, unit); }, [unit]);
-  useEffect(() => { saveState(LS_KEYS.runway, runway); }, [runway]);
+  // Persist to localStorage whenever state changes. The scenario list
+  // carries the model slices (the active one is mirrored below), so it is
+  // the only model key written; the schema version marks the layout.
+  // Once a migrated workspace is stored under those keys, the v1
+  // per-slice keys it was read from are dropped so they can't linger.
+  useEffect(() => {
+    const saved = saveState(LS_KEYS.scenarios, scenarios) && saveState(LS_KEYS.schema, SCHEMA_VERSION);
+    if (!saved || rejected) return;
+    try {
+      ['market', 'unit', 'runway'].forEach(k => localStorage.removeItem(LS_KEYS[k]));
+    } catch { /* storage blocked — nothing to remove */ }
+  }, []);
+  useEffect(() => { saveState(LS_KEYS.scenarios, scenarios); }, [scenarios]);
+
+  // Mirror the live slices into the active scenario so switching away
+  // (or comparing) always sees the latest edits.
+  useEffect(() => {
+    setScenarios(prev => ({
+      ...prev,
+      list: prev.list.map(sc => (sc.id === prev.activeId ? { ...sc, market, unit, runway } : sc)),
+    }));
+  }, [market, unit, runway]);
   useEffect(() => {
     try { localStorage.setItem(LS_KEYS.module, String(currentModule)); } catch {}
   }, [currentModule]);
@@ -2522,6 +5771,7 @@ export default function App() {
 
   // Unified dispatch
   const dispatch = useCallback((action) => {
+    pendingChanges.current.push(action);
     switch (action.type) {
       case 'SET_MARKET':
         setMarket(prev => ({ ...prev, [action.field]: action.value }));
@@ -2535,11 +5785,148 @@ export default function App() {
     }
   }, []);
 
+  const loadModel = useCallback((m) => { setMarket(m.market); setUnit(m.unit); setRunway(m.runway); }, []);
+
+  // One stable model object, so the analysis tools' memos only rerun on edits
+  const model = useMemo(() => ({ market, unit, runway }), [market, unit, runway]);
+
   // ── Memoized score + derived ─────────────────────────────────
-  const { score, flags, derived } = useMemo(() => {
+  const { score, flags, breakdown, derived } = useMemo(() => {
     return computeScore(market, unit, runway);
   }, [market, unit, runway]);
 
+  // ── Undo / redo history ──────────────────────────────────────
+  const modelHistory = useModelHistory(model, score, loadModel, pendingChanges);
+
+  // Scenario actions: SWITCH, CREATE, DUPLICATE, PRESET, RENAME, DELETE
+  // Loading a different model starts a fresh history timeline.
+  const scenarioAction = useCallback((action) => {
+    const load = (sc) => {
+      if (sc.market !== market || sc.unit !== unit || sc.runway !== runway) {
+        modelHistory.reset(`Opened “${sc.name}”`);
+      }
+      loadModel(sc);
+    };
+    const add = (name, model) => {
+      const sc = { id: newScenarioId(), name, ...model };
+      setScenarios(prev => ({ activeId: sc.id, list: [...prev.list, sc] }));
+      load(sc);
+    };
+    const current = { market, unit, runway };
+    const activeName = activeScenario.name;
+
+    switch (action.type) {
+      case 'SWITCH': {
+        const target = scenarios.list.find(sc => sc.id === action.id);
+        if (!target) return;
+        setScenarios(prev => ({ ...prev, activeId: target.id }));
+        load(target);
+        break;
+      }
+      case 'CREATE':
+        add(`Scenario ${scenarios.list.length + 1}`, DEFAULTS);
+        break;
+      case 'DUPLICATE':
+        add(`${activeName} copy`, current);
+        break;
+      case 'PRESET': {
+        const preset = SCENARIO_PRESETS[action.preset];
+        add(`${preset.label} (${activeName})`, preset.apply(current));
+        break;
+      }
+      case 'IMPORT':
+        add(action.name, action.model);
+        break;
+      case 'RENAME':
+        setScenarios(prev => ({
+          ...prev,
+          list: prev.list.map(sc => (sc.id === action.id ? { ...sc, name: action.name } : sc)),
+        }));
+        break;
+      case 'DELETE': {
+        if (scenarios.list.length <= 1) return;
+        const list = scenarios.list.filter(sc => sc.id !== action.id);
+        if (action.id === scenarios.activeId) {
+          setScenarios({ activeId: list[0].id, list });
+          load(list[0]);
+        } else {
+          setScenarios(prev => ({ ...prev, list: prev.list.filter(sc => sc.id !== action.id) }));
+        }
+        break;
+      }
+    }
+  }, [scenarios, activeScenario, market, unit, runway, loadModel, modelHistory.reset]);
+
+  // ── Share links ──────────────────────────────────────────────
+  // Once read, the hash is dropped so a reload doesn't prompt again.
+  const clearShareHash = useCallback(() => {
+    setSharedLink(null);
+    try { window.history.replaceState(null, '', window.location.pathname + window.location.search); } catch {}
+  }, []);
+
+  // A link identical to local state needs no prompt (checked on mount only)
+  const shareLinkChecked = useRef(false);
+  useEffect(() => {
+    if (shareLinkChecked.current) return;
+    shareLinkChecked.current = true;
+    if (sharedLink && modelsEqual(sharedLink.model, { market, unit, runway })) clearShareHash();
+  }, [sharedLink, market, unit, runway, clearShareHash]);
+
+  const acceptSharedLink = useCallback((mode) => {
+    if (mode === 'replace') {
+      pendingChanges.current.push({ type: 'LOAD', label: 'Loaded shared link' });
+      loadModel(sharedLink.model);
+    } else {
+      scenarioAction({ type: 'IMPORT', name: 'Shared link', model: sharedLink.model });
+    }
+    clearShareHash();
+  }, [sharedLink, loadModel, scenarioAction, clearShareHash]);
+
+  const copyShareLink = useCallback(async () => {
+    const { origin, pathname, search } = window.location;
+    const url = origin + pathname + search + encodeShareHash({ market, unit, runway }, currentModule);
+    try {
+      await navigator.clipboard.writeText(url);
+      return true;
+    } catch {
+      window.prompt('Copy this link:', url); // clipboard blocked (e.g. insecure context)
+      return false;
+    }
+  }, [market, unit, runway, currentModule]);
+
+  // ── Workspace files ──────────────────────────────────────────
+  // Imports are parsed (migrated + validated) first and only applied once
+  // the user confirms, since they replace every scenario.
+  const fileInput = useRef(null);
+  const [importResult, setImportResult] = useState(null);
+
+  const exportWorkspace = useCallback(() => {
+    const text = serializeWorkspace({ module: currentModule, seenDecks, scenarios });
+    downloadBlob(new Blob([text], { type: 'application/json' }), `founder-math-lab-${new Date().toISOString().slice(0, 10)}.json`);
+  }, [currentModule, seenDecks, scenarios]);
+
+  const readImportFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setImportResult({ fileName: file.name, ...parseWorkspaceFile(text) });
+    } catch (err) {
+      setImportResult({ fileName: file.name, ok: false, errors: [`Couldn't read the file: ${err.message}`] });
+    }
+  }, []);
+
+  const applyImport = useCallback(() => {
+    const ws = importResult.workspace;
+    const active = ws.scenarios.list.find(sc => sc.id === ws.scenarios.activeId);
+    modelHistory.reset(`Imported ${importResult.fileName}`);
+    setScenarios(ws.scenarios);
+    loadModel(active);
+    setCurrentModule(ws.module);
+    setSeenDecks(ws.seenDecks);
+    saveState(LS_KEYS.seenDecks, ws.seenDecks);
+    setImportResult(null);
+  }, [importResult, loadModel, modelHistory.reset]);
+
   // ── Module completion ────────────────────────────────────────
   const moduleCompletion = useMemo(() => ({
     1: checkModuleComplete(1, flags, score),
@@ -2547,6 +5934,16 @@ export default function App() {
     3: checkModuleComplete(3, flags, score),
   }), [flags, score]);
 
+  const generateReport = useCallback(() => {
+    const blob = buildReportPdf({
+      scenarioName: activeScenario.name,
+      model: { market, unit, runway },
+      result: { score, flags, breakdown, derived },
+      moduleCompletion,
+    });
+    downloadBlob(blob, `investor-report-${activeScenario.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.pdf`);
+  }, [activeScenario.name, market, unit, runway, score, flags, breakdown, derived, moduleCompletion]);
+
   if (screen === 'intro') {
     return <IntroScreen onStart={() => setScreen('modules')} />;
   }
@@ -2573,10 +5970,72 @@ export default function App() {
         currentModule={currentModule}
         setModule={setCurrentModule}
         moduleCompletion={moduleCompletion}
+        onScoreClick={() => setShowBreakdown(true)}
+        onCopyLink={copyShareLink}
+      />
+      {sharedLink && (
+        <SharedLinkPrompt
+          incoming={sharedLink.model}
+          local={model}
+          onReplace={() => acceptSharedLink('replace')}
+          onOpenAsScenario={() => acceptSharedLink('scenario')}
+          onDismiss={clearShareHash}
+        />
+      )}
+      {showBreakdown && (
+        <ScoreWaterfall score={score} breakdown={breakdown} onClose={() => setShowBreakdown(false)} />
+      )}
+      {comparing && (
+        <ScenarioCompare scenarios={scenarios} activeId={scenarios.activeId} onClose={() => setComparing(false)} />
+      )}
+      {tool === 'projection' && (
+        <ProjectionView model={model} scenarioName={activeScenario.name} onClose={() => setTool(null)} />
+      )}
+      {tool === 'sensitivity' && (
+        <SensitivityView model={model} onClose={() => setTool(null)} />
+      )}
+      {tool === 'goalSeek' && (
+        <GoalSeekView model={model} dispatch={dispatch} onClose={() => setTool(null)} />
+      )}
+      <input
+        ref={fileInput}
+        type="file"
+        accept=".json,application/json"
+        style={{ display: 'none' }}
+        onChange={(e) => { readImportFile(e.target.files[0]); e.target.value = ''; }}
       />
+      {storageErrors && (
+        <WorkspaceRecovered errors={storageErrors} onClose={() => setStorageErrors(null)} />
+      )}
+      {importResult && (
+        <WorkspaceImport
+          result={importResult}
+          onConfirm={applyImport}
+          onClose={() => setImportResult(null)}
+        />
+      )}
+      {historyOpen && (
+        <HistoryDrawer
+          entries={modelHistory.entries}
+          cursor={modelHistory.cursor}
+          onJump={modelHistory.jump}
+          onClose={() => setHistoryOpen(false)}
+        />
+      )}
+      {tool === 'exit' && (
+        <ExitWaterfallView model={model} dispatch={dispatch} onClose={() => setTool(null)} />
+      )}
+      {tool === 'optimizer' && (
+        <OptimizerView model={model} dispatch={dispatch} onClose={() => setTool(null)} />
+      )}
 
       {/* Module content */}
       <div style={{ position: 'relative' }}>
+        <ScenarioBar
+          scenarios={scenarios}
+          onAction={scenarioAction}
+          onCompare={() => setComparing(true)}
+        />
         <div style={{ textAlign: 'center', paddingTop: '12px', paddingBottom: '4px' }}>
           <button
             onClick={() => { setFlashcardModule(currentModule); setFlashcardIndex(0); setFlashcardActive(true); }}
@@ -2588,6 +6047,47 @@ export default function App() {
           >
             Review key concepts →
           </button>
+          {[
+            { label: '↶', title: 'Undo (⌘/Ctrl+Z)', onClick: modelHistory.undo, enabled: modelHistory.canUndo },
+            { label: '↷', title: 'Redo (⇧⌘Z / Ctrl+Y)', onClick: modelHistory.redo, enabled: modelHistory.canRedo },
+            { label: 'History', title: 'Change history', onClick: () => setHistoryOpen(o => !o), enabled: true },
+            { label: 'Export', title: 'Download the whole workspace as JSON', onClick: exportWorkspace, enabled: true },
+            { label: 'Import', title: 'Load a workspace JSON file', onClick: () => fileInput.current.click(), enabled: true },
+            { label: 'Generate report', title: 'Download a one-page PDF for mentors and applications', onClick: generateReport, enabled: true },
+          ].map(b => (
+            <button
+              key={b.label}
+              onClick={b.onClick}
+              disabled={!b.enabled}
+              title={b.title}
+              style={{
+                background: 'transparent', border: '1px solid #1a1a25', borderRadius: '6px',
+                color: b.enabled ? '#6b7280' : '#2a2a35', fontSize: '11px', padding: '5px 10px', marginLeft: '6px',
+                cursor: b.enabled ? 'pointer' : 'default', letterSpacing: '0.04em',
+              }}
+            >
+              {b.label}
+            </button>
+          ))}
+          {[
+            { id: 'sensitivity', label: 'Sensitivity' },
+            { id: 'goalSeek', label: 'Goal Seek' },
+            { id: 'optimizer', label: 'Optimizer' },
+            { id: 'projection', label: 'Projection' },
+            { id: 'exit', label: 'Exit' },
+          ].map(t => (
+            <button
+              key={t.id}
+              onClick={() => setTool(t.id)}
+              style={{
+                background: 'transparent', border: '1px solid #1a1a25', borderRadius: '6px',
+                color: '#818cf8', fontSize: '11px', padding: '5px 14px', marginLeft: '6px',
+                cursor: 'pointer', letterSpacing: '0.04em',
+              }}
+            >
+              {t.label}
+            </button>
+          ))}
         </div>
         {currentModule === 1 && (
           <MarketModule
@@ -2600,6 +6100,7 @@ export default function App() {
         {currentModule === 2 && (
           <UnitEconomicsModule
             state={unit}
+            runway={runway}
             dispatch={dispatch}
             flags={flags}
             derived={derived}
@@ -2608,6 +6109,7 @@ export default function App() {
         {currentModule === 3 && (
           <RunwayModule
             state={runway}
+            unit={unit}
             dispatch={dispatch}
             flags={flags}
             derived={derived}
@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { SHARE_PREFIX, migrateWorkspace, decodeShareHash, computeScore } from './model.js';
+
+// A v2 plan: the single fundraise never diluted anyone, the seed SAFE
+// owned a typed-in 20% and the pool 15%, so founders kept 65%
+const legacyRunway = {
+  startingCash: 1_500_000,
+  fundraiseMonth: 6,
+  fundraiseAmount: 2_000_000,
+  safeCapPercent: 20,
+  optionPool: 15,
+};
+
+// The same plan written in today's terms: a SAFE capped to own 20% and
+// a raise that adds cash without converting
+const currentRunway = {
+  startingCash: 1_500_000,
+  seedInstrument: 'safe',
+  seedAmount: 1_500_000,
+  seedValuation: 7_500_000,
+  seedDiscount: 0,
+  optionPool: 15,
+  financings: [{ id: 'fin_legacy', name: 'Fundraise', month: 6, amount: 2_000_000, instrument: 'safe', valuation: 0, discount: 0 }],
+};
+
+const workspaceAt = (version, runway) => ({
+  version,
+  workspace: { module: 3, scenarios: { activeId: 'base', list: [{ id: 'base', name: 'Base', runway }] } },
+});
+
+const scoreOf = ({ market, unit, runway }) => computeScore(market, unit, runway);
+
+const encodeLink = (version, payload) =>
+  `${SHARE_PREFIX}${version}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+describe('legacy single fundraise', () => {
+  const before = scoreOf(migrateWorkspace(workspaceAt(5, currentRunway)).workspace.scenarios.list[0]);
+
+  it('keeps founder ownership and score through the workspace migrations', () => {
+    const result = migrateWorkspace(workspaceAt(2, legacyRunway));
+    expect(result.ok).toBe(true);
+    const after = scoreOf(result.workspace.scenarios.list[0]);
+    expect(after.derived.founderOwnership).toBeCloseTo(65);
+    expect(after.derived.founderOwnership).toBeCloseTo(before.derived.founderOwnership);
+    expect(after.score).toBe(before.score);
+    expect(after.flags.map(f => f.id)).not.toContain('dilution_heavy');
+  });
+
+  it('keeps founder ownership and score through a v1 share link', () => {
+    const decoded = decodeShareHash(encodeLink(1, { r: legacyRunway, mod: 3 }));
+    expect(decoded).not.toBeNull();
+    const after = scoreOf(decoded.model);
+    expect(after.derived.founderOwnership).toBeCloseTo(65);
+    expect(after.score).toBe(before.score);
+  });
+});
+
+describe('legacy flat burn', () => {
+  const migrate = (runway) => {
+    const result = migrateWorkspace(workspaceAt(4, runway));
+    expect(result.ok).toBe(true);
+    return result.workspace.scenarios.list[0];
+  };
+
+  it('keeps the monthly burn when the old sliders add up to more than 100%', () => {
+    const model = migrate({ totalMonthlyBurn: 120_000, burnHeadcount: 90, burnInfra: 90, burnOps: 90 });
+    expect(scoreOf(model).derived.grossBurn).toBeCloseTo(120_000);
+  });
+
+  it('spreads the payroll over people at the default salary', () => {
+    const model = migrate({ totalMonthlyBurn: 120_000 });
+    expect(model.runway.hires).toEqual([expect.objectContaining({ count: 6, salary: 120_000 })]);
+    expect(scoreOf(model).derived.grossBurn).toBeCloseTo(120_000);
+  });
+});
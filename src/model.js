@@ -0,0 +1,2133 @@
+// ============================================================
+// FOUNDER MATH LAB — Model
+// Defaults and input ranges, the workspace schema and its migrations,
+// share links, and the projection, scoring and analysis engines.
+// Plain functions with no React, shared by App.jsx and the tests.
+// ============================================================
+
+// ── Formatters ───────────────────────────────────────────────
+export const fmt = {
+  currency: (n) => {
+    if (n == null || isNaN(n)) return '$—';
+    const abs = Math.abs(n);
+    const sign = n < 0 ? '-' : '';
+    if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(1)}B`;
+    if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`;
+    return `${sign}$${abs.toFixed(0)}`;
+  },
+  pct: (n, d = 1) => `${Number(n).toFixed(d)}%`,
+  months: (n) => `${Math.round(n)} mo`,
+  ratio: (n) => `${Number(n).toFixed(1)}x`,
+  num: (n) => Number(n).toLocaleString(),
+  dollars: (n) => `${n < 0 ? '-' : ''}$${Math.round(Math.abs(n)).toLocaleString()}`,
+};
+
+// ── Workspace schema ──────────────────────────────────────────
+// A workspace is { module, seenDecks, scenarios: { activeId, list } } —
+// everything an export file carries and everything localStorage holds.
+// Files and storage both record the schema version they were written
+// with; older data is walked up through WORKSPACE_MIGRATIONS one version
+// at a time, then validated field by field against DEFAULTS before use.
+//
+//   v1  the original per-slice `_v1` keys (market / unit / runway, module
+//       as a string), plus the scenario list when present
+//   v2  scenarios are the source of truth; slices live inside them
+//   v3  runway.fundraiseMonth / fundraiseAmount become runway.financings
+//   v4  ownership comes from round terms: runway.safeCapPercent becomes
+//       the seed* fields, and each financing's dilution % a valuation
+//   v5  burn comes from a hiring plan: runway.totalMonthlyBurn and its
+//       category sliders become runway.hires and runway.costs
+export const SCHEMA_VERSION = 5;
+const WORKSPACE_FILE_APP = 'founder-math-lab';
+
+// Each entry upgrades a workspace from version N to N + 1
+const WORKSPACE_MIGRATIONS = {
+  1: (ws) => {
+    const slices = { market: ws.market, unit: ws.unit, runway: ws.runway };
+    const hasSlices = Object.values(slices).some(v => v !== undefined);
+    let scenarios = ws.scenarios;
+    if (!scenarios) {
+      scenarios = { activeId: 'base', list: [{ id: 'base', name: 'Base', ...slices }] };
+    } else if (hasSlices && Array.isArray(scenarios.list)) {
+      // The live slices were saved more often than the scenario snapshot
+      scenarios = {
+        ...scenarios,
+        list: scenarios.list.map(sc => (sc.id === scenarios.activeId ? { ...sc, ...slices } : sc)),
+      };
+    }
+    return {
+      module: ws.module === undefined ? undefined : Number(ws.module),
+      seenDecks: ws.seenDecks,
+      scenarios,
+    };
+  },
+  2: (ws) => {
+    const { scenarios } = ws;
+    if (!isPlainObject(scenarios) || !Array.isArray(scenarios.list)) return ws;
+    return {
+      ...ws,
+      scenarios: {
+        ...scenarios,
+        list: scenarios.list.map(sc => (isPlainObject(sc) && isPlainObject(sc.runway) ? { ...sc, runway: liftSingleRaise(sc.runway) } : sc)),
+      },
+    };
+  },
+  3: (ws) => {
+    const { scenarios } = ws;
+    if (!isPlainObject(scenarios) || !Array.isArray(scenarios.list)) return ws;
+    return {
+      ...ws,
+      scenarios: {
+        ...scenarios,
+        list: scenarios.list.map(sc => (isPlainObject(sc) && isPlainObject(sc.runway) ? { ...sc, runway: termsFromPercentages(sc.runway) } : sc)),
+      },
+    };
+  },
+  4: (ws) => {
+    const { scenarios } = ws;
+    if (!isPlainObject(scenarios) || !Array.isArray(scenarios.list)) return ws;
+    return {
+      ...ws,
+      scenarios: {
+        ...scenarios,
+        list: scenarios.list.map(sc => (isPlainObject(sc) && isPlainObject(sc.runway) ? { ...sc, runway: planFromBurn(sc.runway) } : sc)),
+      },
+    };
+  },
+};
+
+// The old single raise becomes a one-event financings list. It never
+// diluted anyone, so the event carries 0% dilution to keep scores as-is.
+function liftSingleRaise(runway) {
+  const { fundraiseMonth, fundraiseAmount, ...rest } = runway;
+  if (rest.financings !== undefined) return rest;
+  const financings = fundraiseMonth > 0 && fundraiseAmount > 0
+    ? [{ ...FINANCING_DEFAULTS, id: 'fin_legacy', name: 'Fundraise', month: fundraiseMonth, amount: fundraiseAmount, dilution: 0 }]
+    : [];
+  return { ...rest, financings };
+}
+
+// Typed-in ownership becomes the round terms that sell the same share:
+// the seed is a post-money SAFE of the starting cash capped so it owns
+// safeCapPercent, and each event gets the cap (convertibles) or
+// pre-money (priced) that sells its old dilution %. 0% maps to an
+// uncapped SAFE or a priced event with no terms, which dilute nobody.
+// The old `dilution` wins over any `valuation` already on the event:
+// raises lifted from the single fundraise carry today's default terms.
+function termsFromPercentages(runway) {
+  const { safeCapPercent, ...out } = runway;
+  if (safeCapPercent !== undefined && out.seedValuation === undefined) {
+    const amount = typeof out.startingCash === 'number' ? out.startingCash : DEFAULTS.runway.startingCash;
+    Object.assign(out, {
+      seedInstrument: 'safe',
+      seedAmount: amount,
+      seedValuation: safeCapPercent > 0 ? Math.round((amount * 100) / safeCapPercent) : 0,
+      seedDiscount: 0,
+    });
+  }
+  if (Array.isArray(out.financings)) {
+    out.financings = out.financings.map(f => {
+      if (!isPlainObject(f) || (f.dilution === undefined && f.valuation !== undefined)) return f;
+      const { dilution, ...fin } = f;
+      const valuation = !(dilution > 0) ? 0
+        : fin.instrument === 'equity' ? Math.round((fin.amount * (100 - dilution)) / dilution)
+        : Math.round((fin.amount * 100) / dilution);
+      return { ...fin, valuation, discount: 0 };
+    });
+  }
+  return out;
+}
+
+// Share links before v4 leave out fields at their old defaults, so one
+// with custom burn sliders may not carry the $120K/mo total they split
+function withLegacyBurnTotal(runway) {
+  const hasSliders = ['burnHeadcount', 'burnInfra', 'burnOps'].some(k => runway[k] !== undefined);
+  return hasSliders && runway.totalMonthlyBurn === undefined ? { ...runway, totalMonthlyBurn: 120_000 } : runway;
+}
+
+// The flat monthly burn becomes one payroll line and two cost lines that
+// add up to the same total. The headcount share sets the payroll; infra
+// is its own line and operations takes the rest, including whatever the
+// old sliders left unallocated. Missing sliders read as the old 60/20/20.
+// The sliders were independent and the runway always burned the total,
+// so when they claim more than 100% all three shrink to fit it.
+function planFromBurn(runway) {
+  const { totalMonthlyBurn, burnHeadcount = 60, burnInfra = 20, burnOps = 20, ...out } = runway;
+  if (typeof totalMonthlyBurn !== 'number' || out.hires !== undefined) return out;
+  const load = typeof out.benefitsLoad === 'number' ? out.benefitsLoad : DEFAULTS.runway.benefitsLoad;
+  const claimed = burnHeadcount + burnInfra + burnOps;
+  const fit = claimed > 100 ? 100 / claimed : 1;
+  const headcount = (totalMonthlyBurn * burnHeadcount * fit) / 100;
+  const infra = (totalMonthlyBurn * burnInfra * fit) / 100;
+  const ops = totalMonthlyBurn - headcount - infra;
+  // People at the default salary, with enough of them that no salary
+  // passes the salary range
+  const payroll = (headcount * 12) / (1 + load / 100);
+  const count = Math.max(1, Math.round(payroll / HIRE_DEFAULTS.salary), Math.ceil(payroll / BURN_SPECS.salary.max));
+  return {
+    ...out,
+    benefitsLoad: load,
+    hires: headcount > 0
+      ? [{ ...HIRE_DEFAULTS, id: 'hire_legacy', role: 'Current team', count, start: 0, salary: payroll / count }]
+      : [],
+    costs: [
+      ...(infra > 0 ? [{ ...COST_DEFAULTS, id: 'cost_infra', name: 'Infrastructure', category: 'infra', monthly: infra }] : []),
+      ...(ops !== 0 ? [{ ...COST_DEFAULTS, id: 'cost_ops', name: 'Operations', category: 'ops', monthly: ops }] : []),
+    ],
+  };
+}
+
+// String fields that only take a fixed set of values
+const ENUM_VALUES = {
+  rampModel: ['linear', 'scurve', 't2d3'],
+  sizingMode: ['topDown', 'bottomUp'],
+  billing: ['monthly', 'quarterly', 'annual'],
+  revenueMode: ['flat', 'customers'],
+  distribution: ['uniform', 'triangular', 'normal'],
+  instrument: ['safe', 'note', 'equity', 'bridge'],
+  seedInstrument: ['safe', 'note', 'equity', 'bridge'],
+  poolTiming: ['pre', 'post'],
+  condition: ['none', 'arr', 'customers'],
+  participation: ['none', 'full', 'capped'],
+  seedParticipation: ['none', 'full', 'capped'],
+  exitSeniority: ['stacked', 'pari'],
+  category: ['infra', 'ops'],
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const describeValue = (v) => (v === null ? 'null' : Array.isArray(v) ? 'an array' : `${typeof v} ${JSON.stringify(v)}`);
+
+// Pushes one message per bad field. Missing fields are fine — they are
+// filled from DEFAULTS — but present ones must have the default's type.
+function validateSlice(value, defaults, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: expected an object, got ${describeValue(value)}`);
+    return;
+  }
+  for (const [key, def] of Object.entries(defaults)) {
+    if (!(key in value)) continue;
+    const v = value[key];
+    const at = `${path}.${key}`;
+    if (isPlainObject(def)) {
+      validateSlice(v, def, at, errors);
+    } else if (Array.isArray(def)) {
+      if (!Array.isArray(v)) errors.push(`${at}: expected a list, got ${describeValue(v)}`);
+      else if (typeof ARRAY_ITEM_DEFAULTS[key] === 'number') {
+        v.forEach((item, i) => {
+          if (typeof item !== 'number' || !Number.isFinite(item)) errors.push(`${at}[${i}]: expected a number, got ${describeValue(item)}`);
+        });
+      } else if (ARRAY_ITEM_DEFAULTS[key]) v.forEach((item, i) => validateSlice(item, ARRAY_ITEM_DEFAULTS[key], `${at}[${i}]`, errors));
+    } else if (typeof def === 'number') {
+      if (typeof v !== 'number' || !Number.isFinite(v)) errors.push(`${at}: expected a number, got ${describeValue(v)}`);
+    } else if (typeof v !== typeof def) {
+      errors.push(`${at}: expected a ${typeof def}, got ${describeValue(v)}`);
+    } else if (ENUM_VALUES[key] && !ENUM_VALUES[key].includes(v)) {
+      errors.push(`${at}: must be one of ${ENUM_VALUES[key].join(', ')}, got "${v}"`);
+    }
+  }
+}
+
+function validateModel(model, path = 'model') {
+  const errors = [];
+  for (const slice of ['market', 'unit', 'runway']) {
+    if (model[slice] !== undefined) validateSlice(model[slice], DEFAULTS[slice], `${path}.${slice}`, errors);
+  }
+  return errors;
+}
+
+function validateWorkspace(ws) {
+  if (!isPlainObject(ws)) return [`workspace: expected an object, got ${describeValue(ws)}`];
+  const errors = [];
+  if (ws.module !== undefined && ![1, 2, 3].includes(ws.module)) {
+    errors.push(`module: expected 1, 2 or 3, got ${describeValue(ws.module)}`);
+  }
+  if (ws.seenDecks !== undefined && !(Array.isArray(ws.seenDecks) && ws.seenDecks.every(d => [1, 2, 3].includes(d)))) {
+    errors.push('seenDecks: expected a list of module numbers (1–3)');
+  }
+  const { scenarios } = ws;
+  if (!isPlainObject(scenarios) || !Array.isArray(scenarios.list) || scenarios.list.length === 0) {
+    errors.push('scenarios: expected { activeId, list } with at least one scenario');
+    return errors;
+  }
+  scenarios.list.forEach((sc, i) => {
+    const at = `scenarios.list[${i}]`;
+    if (!isPlainObject(sc)) { errors.push(`${at}: expected an object, got ${describeValue(sc)}`); return; }
+    if (typeof sc.id !== 'string' || !sc.id) errors.push(`${at}.id: expected a non-empty string`);
+    if (typeof sc.name !== 'string') errors.push(`${at}.name: expected a string`);
+    errors.push(...validateModel(sc, at));
+  });
+  return errors;
+}
+
+const clampTo = ({ min, max }, v) => Math.max(min, Math.min(max, v));
+
+// Ids key list rows, editor updates and per-item flags, so an item with
+// a missing or repeated id (hand-edited files, older saves) gets a new one
+function withUniqueIds(key, items) {
+  const seen = new Set();
+  return items.map(item => {
+    let { id } = item;
+    while (!id || seen.has(id)) id = LIST_ID_FACTORIES[key]();
+    seen.add(id);
+    return id === item.id ? item : { ...item, id };
+  });
+}
+
+// Fills missing fields from DEFAULTS, drops unknown ones and pulls
+// numbers and list lengths back inside what the inputs allow
+// (`ranges` mirrors `defaults`, see VALUE_RANGES)
+function pickKnown(defaults, value, ranges = {}) {
+  const out = {};
+  for (const [key, def] of Object.entries(defaults)) {
+    const v = isPlainObject(value) ? value[key] : undefined;
+    const range = ranges[key];
+    if (v === undefined) out[key] = def;
+    else if (isPlainObject(def)) out[key] = pickKnown(def, v, range);
+    else if (Array.isArray(v)) {
+      const list = v.slice(0, LIST_MAX_ITEMS[key]);
+      out[key] = isPlainObject(ARRAY_ITEM_DEFAULTS[key]) ? withUniqueIds(key, list.map(item => pickKnown(ARRAY_ITEM_DEFAULTS[key], item, range)))
+        : range ? list.map(n => clampTo(range, n))
+        : list;
+    } else if (typeof v === 'number' && range) out[key] = clampTo(range, v);
+    else out[key] = v;
+  }
+  return out;
+}
+
+const normalizeModel = (model) => ({
+  market: pickKnown(DEFAULTS.market, model.market, VALUE_RANGES.market),
+  unit: pickKnown(DEFAULTS.unit, model.unit, VALUE_RANGES.unit),
+  runway: pickKnown(DEFAULTS.runway, model.runway, VALUE_RANGES.runway),
+});
+
+export function normalizeWorkspace(ws) {
+  const list = ws.scenarios?.list?.length
+    ? ws.scenarios.list.map(sc => ({ id: sc.id, name: sc.name, ...normalizeModel(sc) }))
+    : [{ id: 'base', name: 'Base', ...normalizeModel({}) }];
+  const activeId = list.some(sc => sc.id === ws.scenarios?.activeId) ? ws.scenarios.activeId : list[0].id;
+  return {
+    module: ws.module ?? 1,
+    seenDecks: ws.seenDecks ?? [],
+    scenarios: { activeId, list },
+  };
+}
+
+// Upgrades and validates { version, workspace }.
+// Returns { ok: true, workspace } or { ok: false, errors: [string] }.
+export function migrateWorkspace({ version, workspace }) {
+  if (!Number.isInteger(version) || version < 1) {
+    return { ok: false, errors: [`version: expected a schema version number, got ${describeValue(version)}`] };
+  }
+  if (version > SCHEMA_VERSION) {
+    return { ok: false, errors: [`version: saved by a newer app (schema v${version}); this one reads up to v${SCHEMA_VERSION}`] };
+  }
+  let ws = workspace;
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    if (!isPlainObject(ws)) break; // reported by validation below
+    ws = WORKSPACE_MIGRATIONS[v](ws);
+  }
+  const errors = validateWorkspace(ws);
+  return errors.length ? { ok: false, errors } : { ok: true, workspace: normalizeWorkspace(ws) };
+}
+
+// Parses an export file's text; same result shape as migrateWorkspace
+export function parseWorkspaceFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, errors: [`Not valid JSON: ${err.message}`] };
+  }
+  if (!isPlainObject(file) || file.app !== WORKSPACE_FILE_APP) {
+    return { ok: false, errors: ['Not a Founder Math Lab workspace file'] };
+  }
+  return migrateWorkspace(file);
+}
+
+export const serializeWorkspace = (workspace) => JSON.stringify({
+  app: WORKSPACE_FILE_APP,
+  version: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  workspace,
+}, null, 2);
+
+// ── Share links ───────────────────────────────────────────────
+// The model rides in the URL hash as `#fml=<version>.<base64url JSON>`.
+// Only fields that differ from DEFAULTS are written, which keeps links
+// short; decoding fills the rest from DEFAULTS (nested groups such as
+// runway.uncertainty included) and runs the workspace field validation.
+// Older links get the same runway upgrades as stored workspaces: v1
+// predates runway.financings, v2 predates ownership from round terms,
+// v3 predates the hiring plan.
+const SHARE_VERSION = 4;
+export const SHARE_PREFIX = '#fml=';
+
+const toBase64Url = (str) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(str)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (b64) => {
+  const bin = atob(b64.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+};
+
+function diffFromDefaults(slice, defaults) {
+  const out = {};
+  for (const [key, value] of Object.entries(slice)) {
+    if (isPlainObject(value) && isPlainObject(defaults[key])) {
+      const nested = diffFromDefaults(value, defaults[key]);
+      if (Object.keys(nested).length) out[key] = nested;
+    } else if (JSON.stringify(value) !== JSON.stringify(defaults[key])) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+export const modelsEqual = (a, b) =>
+  ['market', 'unit', 'runway'].every(k => JSON.stringify(a[k]) === JSON.stringify(b[k]));
+
+export function encodeShareHash(model, module) {
+  const payload = {
+    m: diffFromDefaults(model.market, DEFAULTS.market),
+    u: diffFromDefaults(model.unit, DEFAULTS.unit),
+    r: diffFromDefaults(model.runway, DEFAULTS.runway),
+    mod: module,
+  };
+  return `${SHARE_PREFIX}${SHARE_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+// Returns { model, module } or null when the hash isn't a readable share link
+export function decodeShareHash(hash) {
+  if (!hash || !hash.startsWith(SHARE_PREFIX)) return null;
+  const [version, body] = hash.slice(SHARE_PREFIX.length).split('.');
+  const v = Number(version);
+  if (!(v >= 1 && v <= SHARE_VERSION) || !body) return null;
+  try {
+    const payload = JSON.parse(fromBase64Url(body));
+    let runway = payload.r;
+    if (v < 2 && isPlainObject(runway)) runway = liftSingleRaise(runway);
+    if (v < 3 && isPlainObject(runway)) runway = termsFromPercentages(runway);
+    if (v < 4 && isPlainObject(runway)) runway = planFromBurn(withLegacyBurnTotal(runway));
+    const partial = { market: payload.m ?? {}, unit: payload.u ?? {}, runway: runway ?? {} };
+    if (validateModel(partial, 'link').length) return null;
+    return {
+      model: normalizeModel(partial),
+      module: [1, 2, 3].includes(payload.mod) ? payload.mod : null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// ── Default State (mediocre ~42 score to start) ───────────────
+export const DEFAULTS = {
+  market: {
+    tam: 5_000_000_000,   // $5B — OK but not massive
+    samPct: 15,            // 15% reachable
+    somPct: 8,             // 8% SOM — suspiciously optimistic → Warning
+    horizon: 5,            // 5 years
+    targetARR: 10_000_000, // $10M ARR goal
+    rampModel: 'linear',   // 'linear' | 'scurve' | 't2d3' — ARR path to SOM
+    rampShare: 40,         // % of SOM captured by the horizon (linear, S-curve)
+    rampMidpoint: 3,       // year of fastest growth (S-curve)
+    rampSteepness: 1.5,    // logistic slope (S-curve)
+    t2d3StartArr: 2_000_000, // ARR when the T2D3 clock starts
+    sizingMode: 'topDown', // 'topDown' (TAM × %) | 'bottomUp' (segments)
+    segments: [            // bottom-up: accounts × reachable % × ACV
+      { id: 'seg_mid', name: 'Mid-market', accounts: 60_000, reachablePct: 25, acv: 24_000 },
+      { id: 'seg_smb', name: 'SMB', accounts: 1_500_000, reachablePct: 8, acv: 1_200 },
+    ],
+  },
+  unit: {
+    price: 99,             // $99/mo — low for B2B
+    billing: 'monthly',    // 'monthly' | 'quarterly' | 'annual' — how price is quoted
+    grossMargin: 55,       // 55% — below SaaS norms (70%+)
+    cac: 800,              // $800 CAC — high for this price
+    churnMonthly: 5,       // 5% monthly logo churn — painful
+    expansionMonthly: 0,   // % of MRR added by upsell each month
+    contractionMonthly: 0, // % of MRR lost to downgrades each month
+    ltvHorizonMonths: 60,  // LTV stops counting after this many months
+    retentionCurve: [],    // % of a cohort still active by month since signup (month 1 first); empty = constant churn
+    channels: [],          // acquisition channels, see CHANNEL_DEFAULTS; empty = the single CAC above
+  },
+  runway: {
+    startingCash: 1_500_000,   // $1.5M seed
+    hires: [                   // payroll by role, see HIRE_DEFAULTS — $72K/mo loaded
+      { id: 'hire_founders', role: 'Founders', count: 2, start: 0, salary: 120_000 },
+      { id: 'hire_eng', role: 'Engineer', count: 3, start: 0, salary: 160_000 },
+    ],
+    benefitsLoad: 20,          // +20% on salaries for taxes and benefits
+    burnScale: 100,            // % of the hiring plan and cost lines actually spent
+    costs: [                   // monthly line items, see COST_DEFAULTS — $48K/mo
+      { id: 'cost_cloud', name: 'Cloud hosting', category: 'infra', monthly: 15_000, start: 0 },
+      { id: 'cost_tools', name: 'Tools & SaaS', category: 'infra', monthly: 9_000, start: 0 },
+      { id: 'cost_office', name: 'Office & admin', category: 'ops', monthly: 14_000, start: 0 },
+      { id: 'cost_legal', name: 'Legal & accounting', category: 'ops', monthly: 10_000, start: 0 },
+    ],
+    monthlyRevenue: 15_000,    // $15K MRR
+    revenueMode: 'flat',       // 'flat' (top-line MoM) | 'customers' (CAC-driven)
+    revenueGrowthMoM: 8,       // 8% MoM growth (flat mode)
+    marketingBudget: 20_000,   // $20K/mo acquisition spend (customer mode)
+    annualPlanPct: 0,          // % of revenue on annual plans, invoiced 12 months up front
+    quarterlyPlanPct: 0,       // % on quarterly plans (at most what annual leaves); the rest pays monthly
+    financings: [],            // planned raises, see FINANCING_DEFAULTS
+    seedInstrument: 'safe',    // how the seed was raised — see INSTRUMENTS
+    seedAmount: 1_500_000,     // $1.5M seed
+    seedValuation: 7_500_000,  // post-money cap (SAFE / note) or pre-money (priced); 0 = uncapped
+    seedDiscount: 20,          // SAFE / note discount to the next priced round
+    seedPreference: 1,         // liquidation preference multiple (priced seed)
+    seedParticipation: 'none', // see PARTICIPATION
+    seedParticipationCap: 3,   // capped participation: total return cap, × invested
+    optionPool: 15,            // 15% option pool, sized after the seed
+    projectionMonths: 24,      // chart/projection horizon, 12–60
+    exitValue: 100_000_000,    // sale price for the exit waterfall
+    exitSeniority: 'stacked',  // 'stacked' (newest round paid first) | 'pari' (pari passu)
+    uncertainty: {             // Monte Carlo spreads around each base value
+      enabled: false,
+      distribution: 'triangular', // 'uniform' | 'triangular' | 'normal'
+      growth: 50,              // ±50% of MoM growth
+      churn: 40,               // ±40% of monthly churn (customer mode)
+      burn: 15,                // ±15% of monthly burn
+      raiseMonth: 3,           // ±3 months slip on each raise
+      raiseAmount: 30,         // ±30% of each raise amount
+      runs: 2000,
+      deathByMonth: 18,        // report P($0) before this month
+    },
+  },
+};
+
+// Shape of one bottom-up segment (fills gaps in stored segments)
+export const SEGMENT_DEFAULTS = { id: '', name: 'Segment', accounts: 0, reachablePct: 0, acv: 0 };
+
+// Shape of one financing event. `condition` gates the close on that
+// month's ARR or customer count reaching `threshold`. `valuation` is the
+// post-money cap for a SAFE / note / bridge (0 = uncapped) and the
+// pre-money for a priced round; `discount` only applies to convertibles,
+// the pool top-up, pro-rata take-up and liquidation preference terms only
+// to priced rounds (SAFEs that convert into a round take its terms).
+export const FINANCING_DEFAULTS = {
+  id: '', name: 'Raise', month: 12, amount: 1_000_000, instrument: 'safe',
+  valuation: 10_000_000, discount: 20, condition: 'none', threshold: 1_000_000,
+  poolTarget: 0, poolTiming: 'pre', proRata: 0,
+  preference: 1, participation: 'none', participationCap: 3,
+};
+
+// Shape of one hiring-plan role: `count` people on an annual `salary`
+// each, on the payroll from `start` (0 = already on staff)
+export const HIRE_DEFAULTS = { id: '', role: 'Role', count: 1, start: 0, salary: 120_000 };
+
+// Shape of one non-payroll cost line, spent every month from `start`
+export const COST_DEFAULTS = { id: '', name: 'Line item', category: 'ops', monthly: 5_000, start: 0 };
+
+// Shape of one acquisition channel: monthly `spend` buys `customers` a
+// month, `cycleMonths` after the spend goes out; `churnDelta` is added
+// to the monthly churn of the customers it brings (points, ± allowed)
+export const CHANNEL_DEFAULTS = { id: '', name: 'Channel', spend: 10_000, customers: 10, cycleMonths: 0, churnDelta: 0 };
+
+// Starting mix for "split by channel": CAC relative to today's, share of
+// new customers, sales cycle and churn difference
+const CHANNEL_PRESETS = [
+  { name: 'Paid ads', cacFactor: 1, share: 40, cycleMonths: 0, churnDelta: 1 },
+  { name: 'Outbound sales', cacFactor: 2.5, share: 15, cycleMonths: 3, churnDelta: -1.5 },
+  { name: 'Partnerships', cacFactor: 0.8, share: 15, cycleMonths: 2, churnDelta: -0.5 },
+  { name: 'Product-led', cacFactor: 0.3, share: 30, cycleMonths: 0, churnDelta: 1.5 },
+];
+
+// Item shapes for list fields in DEFAULTS, keyed by field name (schema validation).
+// A number marks a list of plain numbers.
+const ARRAY_ITEM_DEFAULTS = {
+  segments: SEGMENT_DEFAULTS, financings: FINANCING_DEFAULTS, hires: HIRE_DEFAULTS, costs: COST_DEFAULTS,
+  channels: CHANNEL_DEFAULTS, retentionCurve: 0,
+};
+
+const RETENTION_CURVE_MAX = 60; // months a curve can describe
+
+// Longest list an import or share link may carry, per list field
+const LIST_MAX_ITEMS = {
+  segments: 50, financings: 20, hires: 100, costs: 100, channels: 20, retentionCurve: RETENTION_CURVE_MAX,
+};
+
+// Ranges for the per-segment ParameterCells
+export const SEGMENT_SPECS = {
+  accounts:     { label: 'Target Accounts', min: 0, max: 100_000_000, step: 500, format: fmt.num },
+  reachablePct: { label: 'Reachable', min: 0, max: 100, step: 1, format: (v) => fmt.pct(v, 0) },
+  acv:          { label: 'ACV', min: 0, max: 5_000_000, step: 500, format: fmt.currency },
+};
+
+export const RAMP_MODELS = { linear: 'Linear', scurve: 'S-curve', t2d3: 'T2D3' };
+
+// Ranges for the ARR ramp ParameterCells
+export const RAMP_SPECS = {
+  rampShare:     { label: 'SOM Captured', min: 5, max: 100, step: 5, format: (v) => fmt.pct(v, 0) },
+  rampMidpoint:  { label: 'Inflection Year', min: 0.5, max: 10, step: 0.5, format: (v) => `Y${v}` },
+  rampSteepness: { label: 'Steepness', min: 0.3, max: 4, step: 0.1, format: (v) => Number(v).toFixed(1) },
+  t2d3StartArr:  { label: 'Starting ARR', min: 100_000, max: 20_000_000, step: 250_000, format: fmt.currency },
+};
+
+export const newSegmentId = () => `seg_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+
+export const INSTRUMENTS = { safe: 'SAFE', note: 'Convertible note', equity: 'Priced round', bridge: 'Bridge' };
+export const isConvertible = (instrument) => instrument !== 'equity';
+export const FINANCING_CONDITIONS = { none: 'Always', arr: 'If ARR ≥', customers: 'If customers ≥' };
+
+// Ranges for the per-event ParameterCells; `threshold` depends on the condition
+export const FINANCING_SPECS = {
+  month:      { label: 'Month', min: 1, max: 60, step: 1, format: (v) => `M${v}` },
+  amount:     { label: 'Amount', min: 0, max: 50_000_000, step: 250_000, format: fmt.currency },
+  discount:   { label: 'Discount', min: 0, max: 50, step: 5, format: (v) => fmt.pct(v, 0) },
+  poolTarget: { label: 'Pool Top-up To', min: 0, max: 30, step: 1, format: (v) => (v > 0 ? fmt.pct(v, 0) : 'None') },
+  proRata:    { label: 'Pro-rata Taken', min: 0, max: 100, step: 10, format: (v) => fmt.pct(v, 0) },
+  arr:        { label: 'ARR at Least', min: 0, max: 100_000_000, step: 250_000, format: fmt.currency },
+  customers:  { label: 'Customers at Least', min: 0, max: 1_000_000, step: 10, format: fmt.num },
+};
+
+// The valuation cell reads differently per instrument
+export const valuationSpec = (instrument) => (isConvertible(instrument)
+  ? { label: 'Post-money Cap', min: 0, max: 500_000_000, step: 500_000, format: (v) => (v > 0 ? fmt.currency(v) : 'Uncapped') }
+  : { label: 'Pre-money', min: 0, max: 500_000_000, step: 500_000, format: fmt.currency });
+
+// Typical priced rounds for the "Series A–C" shortcut; investors take
+// half their pro-rata and each round tops the pool up pre-money
+export const SERIES_LADDER = [
+  { name: 'Series A', month: 18, amount: 8_000_000, valuation: 32_000_000, poolTarget: 10 },
+  { name: 'Series B', month: 36, amount: 20_000_000, valuation: 80_000_000, poolTarget: 8 },
+  { name: 'Series C', month: 54, amount: 40_000_000, valuation: 200_000_000, poolTarget: 5 },
+].map(round => ({ ...FINANCING_DEFAULTS, instrument: 'equity', discount: 0, poolTiming: 'pre', proRata: 50, ...round }));
+
+// What preferred stock collects on top of its preference at an exit
+export const PARTICIPATION = { none: 'Non-participating', full: 'Participating', capped: 'Capped participation' };
+
+// Ranges for the exit waterfall's ParameterCells
+export const EXIT_SPECS = {
+  exitValue:        { label: 'Sale Price', min: 0, max: 5_000_000_000, step: 5_000_000, format: fmt.currency },
+  preference:       { label: 'Preference', min: 0, max: 3, step: 0.5, format: fmt.ratio },
+  participationCap: { label: 'Return Cap', min: 1, max: 10, step: 0.5, format: fmt.ratio },
+};
+
+export const COST_CATEGORIES = { infra: 'Infrastructure', ops: 'Operations' };
+
+// Ranges for the hiring-plan and cost-line ParameterCells
+export const BURN_SPECS = {
+  count:        { label: 'People', min: 0, max: 500, step: 1, format: fmt.num },
+  start:        { label: 'Starts', min: 0, max: 60, step: 1, format: (v) => (v > 0 ? `M${v}` : 'Now') },
+  salary:       { label: 'Salary', min: 0, max: 1_000_000, step: 5_000, format: fmt.currency },
+  monthly:      { label: 'Per Month', min: 0, max: 5_000_000, step: 1_000, format: fmt.currency },
+  benefitsLoad: { label: 'Benefits Load', min: 0, max: 60, step: 1, format: (v) => `+${fmt.pct(v, 0)}` },
+};
+
+// Ranges for the per-channel ParameterCells
+export const CHANNEL_SPECS = {
+  spend:       { label: 'Spend', min: 0, max: 2_000_000, step: 1_000, format: fmt.currency },
+  customers:   { label: 'Customers', min: 0, max: 10_000, step: 1, format: fmt.num },
+  cycleMonths: { label: 'Sales Cycle', min: 0, max: 18, step: 1, format: (v) => `${v} mo` },
+  churnDelta:  { label: 'Churn Δ', min: -10, max: 10, step: 0.5, format: (v) => `${v > 0 ? '+' : ''}${v.toFixed(1)} pts` },
+};
+
+export const newFinancingId = () => `fin_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+export const newHireId = () => `hire_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+export const newCostId = () => `cost_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+export const newChannelId = () => `ch_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+
+// Id maker for each list field's items
+const LIST_ID_FACTORIES = {
+  segments: newSegmentId, financings: newFinancingId, hires: newHireId, costs: newCostId, channels: newChannelId,
+};
+
+// ── Parameter registry ────────────────────────────────────────
+// Every draggable model input: its state slice, range and display format.
+// ParameterCells spread these, and the analysis tools (sensitivity,
+// goal-seek, optimizer) walk the same list so ranges can't drift apart.
+export const PARAM_SPECS = {
+  tam:              { slice: 'market', label: 'TAM', min: 100_000_000, max: 1_000_000_000_000, step: 500_000_000, format: fmt.currency },
+  samPct:           { slice: 'market', label: 'SAM %', min: 1, max: 80, step: 1, format: (v) => fmt.pct(v) },
+  somPct:           { slice: 'market', label: 'SOM %', min: 0.5, max: 30, step: 0.5, format: (v) => fmt.pct(v) },
+  horizon:          { slice: 'market', label: 'Horizon', min: 1, max: 10, step: 1, format: (v) => `${v} yrs` },
+  targetARR:        { slice: 'market', label: 'ARR Goal', min: 100_000, max: 1_000_000_000, step: 1_000_000, format: fmt.currency },
+  price:            { slice: 'unit', label: 'Price', min: 10, max: 10_000_000, step: 10, format: (v) => `$${v.toLocaleString()}` },
+  grossMargin:      { slice: 'unit', label: 'Gross Margin', min: 10, max: 95, step: 1, format: (v) => fmt.pct(v) },
+  cac:              { slice: 'unit', label: 'CAC', min: 10, max: 100_000, step: 50, format: fmt.currency },
+  churnMonthly:     { slice: 'unit', label: 'Monthly Churn', min: 0.1, max: 25, step: 0.5, format: (v) => fmt.pct(v) },
+  expansionMonthly: { slice: 'unit', label: 'Expansion', min: 0, max: 10, step: 0.5, format: (v) => fmt.pct(v) },
+  contractionMonthly: { slice: 'unit', label: 'Contraction', min: 0, max: 10, step: 0.5, format: (v) => fmt.pct(v) },
+  startingCash:     { slice: 'runway', label: 'Starting Cash', min: 100_000, max: 50_000_000, step: 250_000, format: fmt.currency },
+  burnScale:        { slice: 'runway', label: 'Burn Scale', min: 25, max: 200, step: 5, format: (v) => fmt.pct(v, 0) },
+  monthlyRevenue:   { slice: 'runway', label: 'Starting MRR', min: 0, max: 5_000_000, step: 5_000, format: fmt.currency },
+  revenueGrowthMoM: { slice: 'runway', label: 'MoM Growth', min: 0, max: 50, step: 1, format: (v) => fmt.pct(v) },
+  marketingBudget:  { slice: 'runway', label: 'Marketing Budget', min: 0, max: 2_000_000, step: 5_000, format: fmt.currency },
+  annualPlanPct:    { slice: 'runway', label: 'On Annual Plans', min: 0, max: 100, step: 5, format: (v) => fmt.pct(v, 0) },
+  quarterlyPlanPct: { slice: 'runway', label: 'On Quarterly Plans', min: 0, max: 100, step: 5, format: (v) => fmt.pct(v, 0) },
+  seedAmount:       { slice: 'runway', label: 'Seed Amount', min: 0, max: 20_000_000, step: 100_000, format: fmt.currency },
+  seedValuation:    { slice: 'runway', label: 'Seed Valuation', min: 0, max: 200_000_000, step: 500_000, format: fmt.currency },
+  seedDiscount:     { slice: 'runway', label: 'Seed Discount', min: 0, max: 50, step: 5, format: (v) => fmt.pct(v, 0) },
+  optionPool:       { slice: 'runway', label: 'Option Pool', min: 0, max: 30, step: 1, format: (v) => fmt.pct(v) },
+};
+
+// The LTV cut-off is a method choice, not a lever, so the analysis tools skip it
+export const LTV_HORIZON_SPEC = { label: 'LTV Horizon', min: 12, max: 120, step: 6, format: (v) => `${v} mo` };
+
+// Ranges for the projection and Monte Carlo ParameterCells
+export const PROJECTION_SPEC = { label: 'Horizon', min: 12, max: 60, step: 6 };
+export const UNCERTAINTY_SPECS = {
+  growth:       { min: 0, max: 100, step: 5 },
+  churn:        { min: 0, max: 100, step: 5 },
+  burn:         { min: 0, max: 100, step: 5 },
+  raiseAmount:  { min: 0, max: 100, step: 5 },
+  raiseMonth:   { min: 0, max: 12, step: 1 },
+  deathByMonth: { min: 1, max: PROJECTION_SPEC.max, step: 1 },
+  runs:         { min: 500, max: 10_000, step: 500 },
+};
+
+// ── Stored value ranges ───────────────────────────────────────
+// The input range of every stored number, shaped like DEFAULTS (list
+// fields map to their item ranges). Loading, importing and share links
+// clamp to these, so a hand-edited file can't ask for a 10⁹-month
+// projection or a million simulation runs.
+const specsForSlice = (slice) => Object.fromEntries(Object.entries(PARAM_SPECS).filter(([, spec]) => spec.slice === slice));
+const VALUE_RANGES = {
+  market: { ...specsForSlice('market'), ...RAMP_SPECS, segments: SEGMENT_SPECS },
+  unit: {
+    ...specsForSlice('unit'),
+    ltvHorizonMonths: LTV_HORIZON_SPEC,
+    retentionCurve: { min: 0, max: 100 },
+    channels: CHANNEL_SPECS,
+  },
+  runway: {
+    ...specsForSlice('runway'),
+    benefitsLoad: BURN_SPECS.benefitsLoad,
+    projectionMonths: PROJECTION_SPEC,
+    exitValue: EXIT_SPECS.exitValue,
+    seedPreference: EXIT_SPECS.preference,
+    seedParticipationCap: EXIT_SPECS.participationCap,
+    uncertainty: UNCERTAINTY_SPECS,
+    hires: BURN_SPECS,
+    costs: BURN_SPECS,
+    financings: {
+      ...FINANCING_SPECS,
+      valuation: valuationSpec('equity'),
+      threshold: FINANCING_SPECS.arr, // the wider of the ARR and customer ranges
+      preference: EXIT_SPECS.preference,
+      participationCap: EXIT_SPECS.participationCap,
+    },
+  },
+};
+
+// Registered inputs that some settings take out of the model, with the
+// test for when. The analysis tools skip them then, since moving them
+// changes nothing: bottom-up sizing builds SAM from its segments, and
+// acquisition channels replace the single CAC and budget with their own.
+const PARAM_IGNORED_WHEN = {
+  tam: (model) => model.market.sizingMode === 'bottomUp',
+  samPct: (model) => model.market.sizingMode === 'bottomUp',
+  cac: (model) => model.unit.channels.length > 0,
+  marketingBudget: (model) => model.unit.channels.length > 0,
+};
+
+// Registered inputs the model reads as it stands
+export const activeParams = (model) => Object.keys(PARAM_SPECS).filter(field => !PARAM_IGNORED_WHEN[field]?.(model));
+
+// dispatch action for each state slice
+export const SLICE_ACTIONS = { market: 'SET_MARKET', unit: 'SET_UNIT', runway: 'SET_RUNWAY' };
+
+// Returns a copy of the model with one registered parameter replaced
+function withParam(model, field, value) {
+  const { slice } = PARAM_SPECS[field];
+  return { ...model, [slice]: { ...model[slice], [field]: value } };
+}
+
+// ── Scenario presets ──────────────────────────────────────────
+// Bear/bull variants derived from the active model. Stress the levers
+// investors usually haircut: growth, churn, CAC and burn.
+export const SCENARIO_PRESETS = {
+  bear: {
+    label: 'Bear',
+    apply: ({ market, unit, runway }) => ({
+      market: { ...market },
+      unit: {
+        ...unit,
+        cac: Math.round(unit.cac * 1.3),
+        churnMonthly: +(unit.churnMonthly * 1.5).toFixed(1),
+        channels: unit.channels.map(c => ({ ...c, spend: Math.round(c.spend * 1.3) })),
+      },
+      runway: {
+        ...runway,
+        revenueGrowthMoM: +(runway.revenueGrowthMoM * 0.5).toFixed(1),
+        hires: runway.hires.map(h => ({ ...h, salary: Math.round(h.salary * 1.1) })),
+        costs: runway.costs.map(c => ({ ...c, monthly: Math.round(c.monthly * 1.1) })),
+      },
+    }),
+  },
+  bull: {
+    label: 'Bull',
+    apply: ({ market, unit, runway }) => ({
+      market: { ...market },
+      unit: {
+        ...unit,
+        cac: Math.round(unit.cac * 0.8),
+        churnMonthly: +(unit.churnMonthly * 0.7).toFixed(1),
+        channels: unit.channels.map(c => ({ ...c, spend: Math.round(c.spend * 0.8) })),
+      },
+      runway: { ...runway, revenueGrowthMoM: +(runway.revenueGrowthMoM * 1.5).toFixed(1) },
+    }),
+  },
+};
+
+// ── Pricing helper ────────────────────────────────────────────
+// Normalises the billed price to a monthly figure for every cadence.
+export function monthlyPriceOf(unit) {
+  return unit.billing === 'monthly' ? unit.price
+    : unit.billing === 'quarterly' ? unit.price / 3
+    : unit.price / 12;
+}
+
+// ── Cohort retention ──────────────────────────────────────────
+// Share of a cohort's customers active at month m − 1 who are still
+// active at month m since signup. Without a retention curve that is
+// 1 − churnMonthly every month. Past the curve's last point the cohort
+// keeps decaying at the curve's final monthly rate, and so does a base
+// of unknown age (m = Infinity).
+export function retentionKeep(unit, m) {
+  const curve = unit.retentionCurve;
+  if (!curve || !curve.length) return 1 - unit.churnMonthly / 100;
+  const i = Math.min(m, curve.length);
+  const prev = i > 1 ? curve[i - 2] : 100;
+  return prev > 0 ? curve[i - 1] / prev : 0;
+}
+
+// Tidies an edited or pasted curve: 0–100, never rising month to month
+export function normalizeRetentionCurve(values) {
+  const out = [];
+  let cap = 100;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    cap = Math.min(cap, Math.max(0, v));
+    out.push(+cap.toFixed(1));
+  }
+  return out.slice(0, RETENTION_CURVE_MAX);
+}
+
+// Reads a pasted cohort row: numbers split by commas, tabs or spaces, as
+// percentages or fractions. A leading 100% is taken as month 0 and dropped.
+export function parseRetentionCurve(text) {
+  let values = text.split(/[\s,;]+/).filter(Boolean).map(t => parseFloat(t.replace('%', '')));
+  if (values.some(v => !Number.isFinite(v))) return null;
+  if (values.length && values.every(v => v <= 1)) values = values.map(v => v * 100);
+  if (values.length > 1 && values[0] === 100) values = values.slice(1);
+  return values.length ? normalizeRetentionCurve(values) : null;
+}
+
+// One cohort's % of customers and of MRR left at each age 0..months
+export function cohortCurve(unit, months) {
+  const contraction = unit.contractionMonthly / 100;
+  const expansion = unit.expansionMonthly / 100;
+  const logos = [100];
+  const revenue = [100];
+  for (let m = 1; m <= months; m++) {
+    const k = retentionKeep(unit, m);
+    logos.push(logos[m - 1] * k);
+    revenue.push(revenue[m - 1] * (Math.max(0, k - contraction) + expansion));
+  }
+  return { logos, revenue };
+}
+
+// Follows one cohort month by month: retentionKeep of its customers
+// stay (less `churnDelta` points for a channel that churns differently),
+// downgrades take a further share of MRR and upsell adds back.
+// ltvMonths sums its MRR, as months of one customer's price, up to the
+// LTV horizon — finite even when NRR > 100%. GRR / NRR / logo retention
+// are read at month 12.
+// Returns { ltvMonths, grr, nrr, yearOneRetention }
+function cohortValue(unit, churnDelta = 0) {
+  const contraction = unit.contractionMonthly / 100;
+  const expansion = unit.expansionMonthly / 100;
+  const horizon = unit.ltvHorizonMonths;
+  let logos = 1, grossRev = 1, netRev = 1, ltvMonths = 0;
+  let grr = 100, nrr = 100, yearOneRetention = 100;
+  for (let m = 1; m <= Math.max(horizon, 12); m++) {
+    if (m <= horizon) ltvMonths += netRev;
+    const k = Math.min(1, Math.max(0, retentionKeep(unit, m) - churnDelta / 100));
+    logos *= k;
+    grossRev *= Math.max(0, k - contraction);
+    netRev *= Math.max(0, k - contraction) + expansion;
+    if (m === 12) [grr, nrr, yearOneRetention] = [grossRev * 100, netRev * 100, logos * 100];
+  }
+  return { ltvMonths, grr, nrr, yearOneRetention };
+}
+
+// A cohort's average monthly churn over its first year and the months a
+// customer stays on average (the sum of the survival curve), with
+// `churnDelta` points added to each month's churn.
+// Returns { churnMonthly, lifespanMonths }
+function churnProfile(unit, churnDelta = 0) {
+  if (!unit.retentionCurve.length) {
+    const churnMonthly = Math.min(100, Math.max(0, unit.churnMonthly + churnDelta));
+    return { churnMonthly, lifespanMonths: churnMonthly > 0 ? 100 / churnMonthly : 999 };
+  }
+  let lifespanMonths = 0;
+  for (let m = 1, alive = 1; alive > 1e-4 && lifespanMonths < 999; m++) {
+    lifespanMonths += alive;
+    alive *= Math.min(1, Math.max(0, retentionKeep(unit, m) - churnDelta / 100));
+  }
+  const { yearOneRetention } = cohortValue(unit, churnDelta);
+  return { churnMonthly: (1 - Math.pow(yearOneRetention / 100, 1 / 12)) * 100, lifespanMonths };
+}
+
+// ── Acquisition channels ──────────────────────────────────────
+// Per-channel and blended acquisition economics. A channel's CAC is
+// spend ÷ customers and its LTV runs the cohort model with its churn
+// difference. Payback adds the sales cycle, since the spend goes out
+// that long before the first invoice. Blended figures weight channels
+// by customers, so blended CAC is total spend ÷ total customers.
+// Returns null without channels, else { channels: [{ ...channel, cac,
+// ltv, ltvCac, payback, churnMonthly, lifespanMonths }], blended: { spend,
+// customers, cac, ltv, ltvCac, payback, churnMonthly, lifespanMonths } }
+export function channelEconomics(unit) {
+  if (!unit.channels.length) return null;
+  const grossRevPerMonth = monthlyPriceOf(unit) * (unit.grossMargin / 100);
+  const channels = unit.channels.map(c => {
+    const cac = c.customers > 0 ? c.spend / c.customers : Infinity;
+    const ltv = grossRevPerMonth * cohortValue(unit, c.churnDelta).ltvMonths;
+    return {
+      ...c, cac, ltv,
+      ltvCac: ltv / cac,
+      payback: c.customers > 0 && grossRevPerMonth > 0 ? c.cycleMonths + cac / grossRevPerMonth : 999,
+      ...churnProfile(unit, c.churnDelta),
+    };
+  });
+  const spend = channels.reduce((sum, c) => sum + c.spend, 0);
+  const customers = channels.reduce((sum, c) => sum + c.customers, 0);
+  const weigh = (key) => (customers > 0
+    ? channels.reduce((sum, c) => (c.customers > 0 ? sum + c[key] * c.customers : sum), 0) / customers
+    : 0);
+  const cac = customers > 0 ? spend / customers : Infinity;
+  const ltv = weigh('ltv');
+  return {
+    channels,
+    blended: {
+      spend, customers, cac, ltv, ltvCac: ltv / cac, payback: customers > 0 ? weigh('payback') : 999,
+      ...(customers > 0 ? { churnMonthly: weigh('churnMonthly'), lifespanMonths: weigh('lifespanMonths') } : churnProfile(unit)),
+    },
+  };
+}
+
+// Seeds the preset channel mix with the customers today's acquisition
+// budget buys at today's CAC, priced so blended spend ÷ customers is
+// exactly that CAC. Spends round to $100; the first channel takes the
+// rounding.
+export function channelsFromPresets(unit, budget) {
+  const cac = unit.cac > 0 ? unit.cac : CHANNEL_DEFAULTS.spend / CHANNEL_DEFAULTS.customers;
+  const volume = Math.min(CHANNEL_SPECS.customers.max, Math.max(CHANNEL_PRESETS.length, Math.round(budget / cac)));
+  const counts = CHANNEL_PRESETS.map(p => Math.max(1, Math.round((volume * p.share) / 100)));
+  const total = counts.reduce((sum, n) => sum + n, 0);
+  const weight = CHANNEL_PRESETS.reduce((sum, p, i) => sum + counts[i] * p.cacFactor, 0);
+  const spends = CHANNEL_PRESETS.map((p, i) => Math.round((total * cac * counts[i] * p.cacFactor) / weight / 100) * 100);
+  spends[0] += total * cac - spends.reduce((sum, v) => sum + v, 0);
+  return CHANNEL_PRESETS.map(({ name, cycleMonths, churnDelta }, i) => ({
+    ...CHANNEL_DEFAULTS, id: newChannelId(), name, customers: counts[i], cycleMonths, churnDelta, spend: spends[i],
+  }));
+}
+
+// ── Runway Projection ─────────────────────────────────────────
+// Month-by-month cash model shared by the scorer and the charts.
+//   'flat'      — MRR compounds by revenueGrowthMoM (top-line only)
+//   'customers' — marketingBudget ÷ CAC adds a cohort of customers each
+//                 month at the monthly price. Each cohort keeps
+//                 retentionKeep of its customers and keep − contraction
+//                 + expansion of its MRR as it ages; today's base is
+//                 treated as mature. With acquisition channels, each
+//                 channel's spend and customers replace the budget and
+//                 its churn difference follows its cohorts; channels are
+//                 taken as already running, so sales cycles don't delay them.
+//                 The acquisition budget is spent on top of the plan's burn.
+// Burn for month m comes from burnAt (the hiring plan and cost lines).
+// Revenue is recognised monthly (mrrData) but cash arrives as billed:
+// annual plans invoice 12 months up front, quarterly plans 3, the rest
+// monthly. Each cadence keeps one slot per month of its term; the slot
+// that comes due is re-invoiced at whatever tops that cadence's MRR back
+// up, so renewals and new business bill together and today's base moves
+// onto the plan mix in month 1. Deferred revenue is billed − recognised.
+// bookingsData[m] is the new ARR whose revenue starts in month m.
+// Runs `months` months (the chosen horizon by default); runwayMonths
+// equals `months` when cash never hits $0 inside that window.
+// Each financing event lands in its month if its condition holds on that
+// month's MRR / customer count; `raises` records every event that came
+// due, closed or not, and raiseData[m] the cash that arrived in month m.
+// burnData[m] is month m's gross burn; grossBurn is today's (month 0).
+// Returns { cashData, mrrData, customerData, burnData, bookingsData, billingsData, deferredData,
+//           raiseData, raises, runwayMonths, breakevenMonth, grossBurn, newPerMonth, marketing, months }
+export function projectRunway(unit, runway, months = runway.projectionMonths) {
+  const price = monthlyPriceOf(unit);
+  const contraction = unit.contractionMonthly / 100;
+  const expansion = unit.expansionMonthly / 100;
+  const byCustomers = runway.revenueMode === 'customers';
+  const channels = unit.channels || [];
+  // Where each month's signups come from: { customers, drop } per channel,
+  // drop being its extra monthly churn
+  const sources = !byCustomers ? []
+    : channels.length ? channels.map(c => ({ customers: c.customers, drop: c.churnDelta / 100 }))
+    : [{ customers: unit.cac > 0 ? runway.marketingBudget / unit.cac : 0, drop: 0 }];
+  const newPerMonth = sources.reduce((sum, src) => sum + src.customers, 0);
+  const marketing = !byCustomers ? 0
+    : channels.length ? channels.reduce((sum, c) => sum + c.spend, 0)
+    : runway.marketingBudget;
+  const grossBurnAt = (m) => {
+    const b = burnAt(runway, m);
+    return b.headcount + b.infra + b.ops + marketing;
+  };
+  const grossBurn = grossBurnAt(0);
+  const annualShare = Math.min(1, Math.max(0, runway.annualPlanPct / 100));
+  const quarterlyShare = Math.min(1 - annualShare, Math.max(0, runway.quarterlyPlanPct / 100));
+  const annualSlots = new Array(12).fill(0);
+  const quarterlySlots = new Array(3).fill(0);
+  // Invoices the slot that comes due for `target` MRR; returns that slot's MRR
+  const rebill = (slots, m, target) => {
+    const i = m % slots.length;
+    const others = slots.reduce((sum, v, j) => (j === i ? sum : sum + v), 0);
+    slots[i] = Math.max(0, target - others);
+    return slots[i];
+  };
+
+  let cash = runway.startingCash;
+  let rev = runway.monthlyRevenue;
+  let customers = price > 0 ? runway.monthlyRevenue / price : 0;
+  const cohorts = [{ age: Infinity, customers, mrr: rev, drop: 0 }];
+  let runwayMonths = months; // survives unless cash runs out below
+  let breakevenMonth = null;
+  const cashData = [cash];
+  const mrrData = [rev];
+  const customerData = [customers];
+  const burnData = [grossBurn];
+  const bookingsData = [0];
+  const billingsData = [0];
+  const deferredData = [0];
+  const raiseData = [0];
+  const raises = [];
+  let deferred = 0;
+  let newMrr = 0; // added at the end of the previous month
+
+  for (let m = 1; m <= months; m++) {
+    const burn = grossBurnAt(m);
+    const netBurn = burn - rev;
+    const billed = rev * (1 - annualShare - quarterlyShare)
+      + rebill(annualSlots, m, rev * annualShare) * 12
+      + rebill(quarterlySlots, m, rev * quarterlyShare) * 3;
+    deferred += billed - rev;
+    cash += billed - burn;
+    let raised = 0;
+    for (const f of runway.financings) {
+      if (f.month !== m || !(f.amount > 0)) continue;
+      const closed = f.condition === 'arr' ? rev * 12 >= f.threshold
+        : f.condition === 'customers' ? customers >= f.threshold
+        : true;
+      raises.push({ id: f.id, month: m, amount: f.amount, closed });
+      if (closed) raised += f.amount;
+    }
+    cash += raised;
+    raiseData.push(raised);
+    burnData.push(burn);
+    bookingsData.push(newMrr * 12);
+    billingsData.push(billed);
+    deferredData.push(deferred);
+    cashData.push(cash);
+    if (cash <= 0 && runwayMonths === months) runwayMonths = m - 1;
+    if (netBurn <= 0 && breakevenMonth === null) breakevenMonth = m;
+    if (byCustomers) {
+      customers = newPerMonth;
+      rev = newPerMonth * price;
+      for (const c of cohorts) {
+        const k = Math.min(1, Math.max(0, retentionKeep(unit, ++c.age) - c.drop));
+        c.customers *= k;
+        c.mrr *= Math.max(0, k - contraction) + expansion;
+        customers += c.customers;
+        rev += c.mrr;
+      }
+      for (const src of sources) cohorts.push({ age: 0, customers: src.customers, mrr: src.customers * price, drop: src.drop });
+      newMrr = newPerMonth * price;
+    } else {
+      newMrr = Math.max(0, rev * (runway.revenueGrowthMoM / 100));
+      rev *= 1 + runway.revenueGrowthMoM / 100;
+    }
+    mrrData.push(rev);
+    customerData.push(customers);
+  }
+
+  return {
+    cashData, mrrData, customerData, burnData, bookingsData, billingsData, deferredData,
+    raiseData, raises, runwayMonths, breakevenMonth, grossBurn, newPerMonth, marketing, months,
+  };
+}
+
+// Month m's burn from the hiring plan and cost lines. Each role and line
+// counts from its start month (0 = already running); salaries are
+// annual and carry the benefits load on top. `burnScale` scales the
+// whole plan's spend, not its headcount.
+// Returns { headcount, infra, ops, people }
+export function burnAt(runway, m) {
+  const load = 1 + runway.benefitsLoad / 100;
+  const scale = runway.burnScale / 100;
+  let headcount = 0;
+  let people = 0;
+  for (const h of runway.hires) {
+    if (h.start > m) continue;
+    headcount += (h.count * h.salary * load * scale) / 12;
+    people += h.count;
+  }
+  let infra = 0;
+  let ops = 0;
+  for (const c of runway.costs) {
+    if (c.start > m) continue;
+    if (c.category === 'infra') infra += c.monthly * scale;
+    else ops += c.monthly * scale;
+  }
+  return { headcount, infra, ops, people };
+}
+
+// ── SaaS efficiency ───────────────────────────────────────────
+// Benchmark bands for the efficiency panel: best first, [threshold, status];
+// anything past the last band is 'bad'. `lower` marks smaller-is-better.
+export const EFFICIENCY_BENCHMARKS = {
+  burnMultiple: { label: 'Burn Multiple', lower: true, bands: [[1.5, 'good'], [3, 'warn']], note: '≤1.5x efficient · >3x burning for growth' },
+  ruleOf40: { label: 'Rule of 40', bands: [[40, 'good'], [20, 'warn']], note: 'ARR growth % + profit margin % · ≥40 healthy' },
+  magicNumber: { label: 'Magic Number', bands: [[0.75, 'good'], [0.5, 'warn']], note: '≥0.75 spend more on S&M · <0.5 fix the funnel' },
+  arrPerEmployee: { label: 'ARR per Employee', bands: [[200_000, 'good'], [100_000, 'warn']], note: '$100K+ scaling · $200K+ efficient' },
+  payback: { label: 'CAC Payback (GM basis)', lower: true, bands: [[12, 'good'], [18, 'warn']], note: '≤12 mo best-in-class · >18 mo capital-hungry' },
+};
+
+// Rule of 40 and ARR per employee only mean much once there's real revenue
+export const EFFICIENCY_MIN_ARR = 1_000_000;
+
+export function efficiencyStatus(key, value) {
+  if (value == null) return 'neutral';
+  const { lower, bands } = EFFICIENCY_BENCHMARKS[key];
+  const hit = bands.find(([t]) => (lower ? value <= t : value >= t));
+  return hit ? hit[1] : 'bad';
+}
+
+// Series A efficiency metrics over the projection's first 12 months.
+//   burnMultiple   — net cash burn ÷ net new ARR (0 when not burning,
+//                    Infinity when burning without adding ARR)
+//   ruleOf40       — ARR growth % + operating margin % (null with no ARR)
+//   magicNumber    — net new ARR ÷ acquisition spend (null in 'flat' mode,
+//                    which models no acquisition spend)
+//   arrPerEmployee — today's ARR ÷ today's headcount
+// Returns { burnMultiple, ruleOf40, growth, margin, magicNumber,
+//           arrPerEmployee, arr, netNewArr, netBurn }
+function efficiencyMetrics(runway, projection) {
+  const { mrrData, burnData, billingsData } = projection;
+  const arr = mrrData[0] * 12;
+  const netNewArr = mrrData[12] * 12 - arr;
+  let netBurn = 0, revenue = 0, spend = 0;
+  for (let m = 1; m <= 12; m++) {
+    netBurn += burnData[m] - billingsData[m];
+    revenue += mrrData[m];
+    spend += burnData[m];
+  }
+  const burnMultiple = netBurn <= 0 ? 0 : netNewArr > 0 ? netBurn / netNewArr : Infinity;
+  const growth = arr > 0 ? netNewArr / arr * 100 : null;
+  const margin = revenue > 0 ? (revenue - spend) / revenue * 100 : null;
+  const ruleOf40 = growth != null && margin != null ? growth + margin : null;
+  const magicNumber = runway.revenueMode === 'customers' && projection.marketing > 0
+    ? netNewArr / (projection.marketing * 12)
+    : null;
+  const people = burnAt(runway, 0).people;
+  const arrPerEmployee = people > 0 ? arr / people : null;
+  return {
+    burnMultiple, ruleOf40, growth, margin, magicNumber,
+    arrPerEmployee, arr, netNewArr, netBurn,
+  };
+}
+
+// ── Score horizon ─────────────────────────────────────────────
+// The runway and breakeven rules, and the simulations that put ranges
+// on them, look at least 24 months out, so a shorter projection only
+// trims what the charts show, not the score.
+export const scoreHorizon = (runway) => Math.max(runway.projectionMonths, 24);
+
+// ── Monte Carlo Simulation ────────────────────────────────────
+// Everything below down to simulateRunway is serialised into a Web
+// Worker via Function#toString, so these functions (and projectRunway /
+// burnAt / retentionKeep / monthlyPriceOf) must stay self-contained: no
+// module-level references.
+
+// Small seeded PRNG so repeated runs with the same inputs are stable
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function rand() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Draws a unit-free offset in [-1, 1] for the chosen distribution
+function sampleOffset(rand, distribution) {
+  if (distribution === 'uniform') return rand() * 2 - 1;
+  if (distribution === 'normal') {
+    // Box–Muller, σ = 0.5 so ±1 is ~2σ, then clipped to the range
+    const z = Math.sqrt(-2 * Math.log(rand() || 1e-9)) * Math.cos(2 * Math.PI * rand());
+    return Math.max(-1, Math.min(1, z * 0.5));
+  }
+  return rand() - rand(); // triangular, mode 0
+}
+
+// Runs `runs` perturbed projections of `months` months and summarises
+// the spread. Returns { runs, bands: { p10, p50, p90 }, deathMonths, breakevenHist, runwayPct }
+//   deathMonths[i]   — first month run i hit $0 (0 = survived)
+//   breakevenHist[m] — runs that first broke even in month m (index 0 = never)
+export function simulateRunway(unit, runway, runs, seed, months) {
+  const u = runway.uncertainty;
+  const rand = mulberry32(seed);
+  const pick = (base, spreadPct) => base * (1 + (spreadPct / 100) * sampleOffset(rand, u.distribution));
+
+  const paths = [];
+  const deathMonths = new Int16Array(runs);
+  const breakevenHist = new Array(months + 1).fill(0);
+  const runwaySamples = new Float64Array(runs);
+
+  for (let i = 0; i < runs; i++) {
+    // Churn scales the monthly rate, or every point of a retention curve's
+    // decay (raising retention to the power of the draw)
+    const churnScale = Math.max(0, pick(1, u.churn));
+    const simUnit = {
+      ...unit,
+      churnMonthly: unit.churnMonthly * churnScale,
+      retentionCurve: unit.retentionCurve.map(v => 100 * Math.pow(v / 100, churnScale)),
+    };
+    // One draw scales the whole plan: salaries and cost lines move together
+    const burnDraw = Math.max(0, pick(1, u.burn));
+    const simRunway = {
+      ...runway,
+      revenueGrowthMoM: pick(runway.revenueGrowthMoM, u.growth),
+      hires: runway.hires.map(h => ({ ...h, salary: h.salary * burnDraw })),
+      costs: runway.costs.map(c => ({ ...c, monthly: c.monthly * burnDraw })),
+      // Each raise slips and resizes independently
+      financings: runway.financings.map(f => ({
+        ...f,
+        month: Math.max(1, Math.round(f.month + u.raiseMonth * sampleOffset(rand, u.distribution))),
+        amount: Math.max(0, pick(f.amount, u.raiseAmount)),
+      })),
+    };
+    const p = projectRunway(simUnit, simRunway, months);
+    paths.push(p.cashData);
+    const death = p.cashData.findIndex((c, m) => m > 0 && c <= 0);
+    deathMonths[i] = death > 0 ? death : 0;
+    breakevenHist[p.breakevenMonth || 0]++;
+    runwaySamples[i] = p.runwayMonths;
+  }
+
+  const pctAt = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const bands = { p10: [], p50: [], p90: [] };
+  const column = new Float64Array(runs);
+  for (let m = 0; m < paths[0].length; m++) {
+    for (let i = 0; i < runs; i++) column[i] = paths[i][m];
+    column.sort();
+    bands.p10.push(pctAt(column, 0.1));
+    bands.p50.push(pctAt(column, 0.5));
+    bands.p90.push(pctAt(column, 0.9));
+  }
+  runwaySamples.sort();
+  const runwayPct = { p10: pctAt(runwaySamples, 0.1), p50: pctAt(runwaySamples, 0.5), p90: pctAt(runwaySamples, 0.9) };
+
+  return { runs, bands, deathMonths: Array.from(deathMonths), breakevenHist, runwayPct };
+}
+
+// Builds the simulation worker from the function sources above.
+// Returns null where Workers or Blob URLs are unavailable.
+export function createSimWorker() {
+  if (typeof Worker === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') return null;
+  const fns = [mulberry32, sampleOffset, monthlyPriceOf, retentionKeep, burnAt, projectRunway, simulateRunway];
+  const src = fns.map(f => f.toString()).join('\n')
+    + `\nonmessage = (e) => postMessage({ id: e.data.id, result: ${simulateRunway.name}(e.data.unit, e.data.runway, e.data.runs, e.data.seed, e.data.months) });`;
+  try {
+    return new Worker(URL.createObjectURL(new Blob([src], { type: 'text/javascript' })));
+  } catch {
+    return null;
+  }
+}
+
+// ── Market sizing ─────────────────────────────────────────────
+// Top-down: TAM × SAM% × SOM%. Bottom-up: each segment adds accounts ×
+// ACV to TAM and its reachable share of that to SAM. SOM is SOM% of SAM
+// either way. Both are always computed so one can check the other;
+// `sizingMode` picks which feeds the score.
+function marketSizing(market) {
+  const tdSam = market.tam * (market.samPct / 100);
+  const topDown = { tam: market.tam, sam: tdSam, som: tdSam * (market.somPct / 100) };
+
+  const segments = market.segments.map(seg => {
+    const tam = seg.accounts * seg.acv;
+    return { ...seg, tam, sam: tam * (seg.reachablePct / 100) };
+  });
+  const buTam = segments.reduce((sum, seg) => sum + seg.tam, 0);
+  const buSam = segments.reduce((sum, seg) => sum + seg.sam, 0);
+  const bottomUp = { tam: buTam, sam: buSam, som: buSam * (market.somPct / 100), segments };
+
+  const active = market.sizingMode === 'bottomUp' ? bottomUp : topDown;
+  return { tam: active.tam, sam: active.sam, som: active.som, topDown, bottomUp };
+}
+
+// ── ARR ramp ──────────────────────────────────────────────────
+// Year-end ARR for years 0..horizon under the chosen adoption model,
+// never above SOM. The ARR chart and Module 1's output rows both read
+// this, so they can't disagree.
+//   linear  straight line to rampShare% of SOM at the horizon
+//   scurve  logistic around rampMidpoint, rescaled to run 0 → rampShare%
+//   t2d3    t2d3StartArr, then ×3, ×3, ×2, ×2, ×2, then ×1.5 a year
+const T2D3_MULTIPLIERS = [3, 3, 2, 2, 2];
+
+function arrRamp(som, horizon, market) {
+  const ceiling = som * (market.rampShare / 100);
+  const sigmoid = (y) => 1 / (1 + Math.exp(-market.rampSteepness * (y - market.rampMidpoint)));
+  const [s0, s1] = [sigmoid(0), sigmoid(horizon)];
+  const points = [];
+  let t2d3 = market.t2d3StartArr;
+  for (let year = 0; year <= horizon; year++) {
+    let arr;
+    if (market.rampModel === 't2d3') {
+      if (year > 0) t2d3 *= T2D3_MULTIPLIERS[year - 1] ?? 1.5;
+      arr = t2d3;
+    } else if (market.rampModel === 'scurve') {
+      arr = s1 > s0 ? ceiling * (sigmoid(year) - s0) / (s1 - s0) : 0;
+    } else {
+      arr = ceiling * (year / horizon);
+    }
+    points.push({ year, arr: Math.min(arr, som) });
+  }
+  return points;
+}
+
+// First year whose year-end ARR reaches the goal, or null
+const goalCrossingYear = (points, target) => points.find(p => p.year > 0 && p.arr >= target)?.year ?? null;
+
+// ── Cap table ─────────────────────────────────────────────────
+// Ownership is worked out from round terms instead of typed in.
+//   Priced round  new money owns amount ÷ (pre-money + amount), and
+//                 everyone already on the table shrinks by that share.
+//                 `proRata` % of earlier investors' pro-rata rights are
+//                 taken up out of that same round; `poolTarget` tops the
+//                 pool up to that % of the post-money, paid for by
+//                 existing holders bar the SAFEs converting into the
+//                 round ('pre') or by everyone ('post').
+//   SAFE / note   post-money cap: the holder owns amount ÷ cap, taken
+//                 from everyone except other unconverted SAFEs. Shown
+//                 as-converted until a priced round closes, when it
+//                 converts at whichever is cheaper — the cap or the
+//                 round price less the discount (≈ amount ÷ (pre-money ×
+//                 (1 − discount))). Uncapped ones own nothing until then.
+// The option pool is carved out of the founders right after the seed;
+// seed investors and pool together stay under 80%, as before.
+// `raises` are the financing events that close, in month order.
+// Returns { founders, investors, pool, holders, rounds, unconverted,
+// preferred }, where rounds[] snapshots the table after the seed and each
+// raise and preferred[] lists each class of preferred (one per priced
+// round, one per converted SAFE) with what it paid, its terms and its
+// final %. Pro-rata money counts toward the round it was put into.
+export function buildCapTable(runway, raises) {
+  const holders = [{ id: 'founders', label: 'Founders', kind: 'founders', pct: 100 }];
+  const pending = []; // convertibles waiting on a priced round
+  const rounds = [];
+  // Each class is measured once, next to the founders' % at that moment.
+  // Everything after dilutes both alike, so the final % is a ratio away.
+  const classes = [];
+  let tier = 0; // priced rounds so far — later ones are senior
+
+  const totalOf = (kind) => holders.filter(h => h.kind === kind).reduce((sum, h) => sum + h.pct, 0);
+  const snapshot = (round) => rounds.push({
+    ...round,
+    founders: totalOf('founders'),
+    investors: totalOf('investor'),
+    pool: totalOf('pool'),
+    holders: holders.map(h => ({ id: h.id, label: h.label, kind: h.kind, pct: h.pct })),
+  });
+  // Pins each fixed holder to its pct (at most 90% between them) and
+  // scales everyone else pro rata so the table still sums to 100
+  const settle = (fixed) => {
+    const wanted = fixed.reduce((sum, [, pct]) => sum + pct, 0);
+    const fit = wanted > 90 ? 90 / wanted : 1;
+    const rest = holders.filter(h => !fixed.some(([f]) => f === h));
+    const restTotal = rest.reduce((sum, h) => sum + h.pct, 0);
+    rest.forEach(h => { h.pct *= restTotal > 0 ? (100 - wanted * fit) / restTotal : 0; });
+    fixed.forEach(([h, pct]) => { h.pct = pct * fit; });
+  };
+  // Grows the pool to `target` % of the table, holding `fixed` holders
+  // where they are; returns the points added
+  const topUpPool = (target, fixed = []) => {
+    const pool = holders.find(h => h.kind === 'pool');
+    if (!pool || target <= pool.pct) return 0;
+    const before = pool.pct;
+    settle([[pool, target], ...fixed]);
+    return pool.pct - before;
+  };
+  const addConvertible = (round) => {
+    const holder = { id: round.id, label: round.label, kind: 'investor', pct: 0 };
+    holders.push(holder);
+    const share = round.valuation > 0 ? (round.amount / round.valuation) * 100 : 0;
+    settle([[holder, share], ...pending.map(c => [c.holder, c.holder.pct])]);
+    pending.push({ ...round, holder });
+    return { share: holder.pct };
+  };
+  const addPriced = (round) => {
+    if (!(round.valuation > 0) || !(round.amount > 0)) return { share: 0 }; // no terms, nobody diluted
+    const conversions = pending.map(c => {
+      const atCap = c.valuation > 0 ? (c.amount / c.valuation) * 100 : 0;
+      const atDiscount = (c.amount / (round.valuation * (1 - Math.min(c.discount, 90) / 100))) * 100;
+      return { c, pct: Math.max(atCap, atDiscount), via: atDiscount > atCap ? 'discount' : 'cap' };
+    });
+    if (conversions.length) settle(conversions.map(({ c, pct }) => [c.holder, pct]));
+    const converted = conversions.map(({ c, via }) => ({ id: c.id, label: c.label, via, pct: c.holder.pct }));
+    pending.length = 0;
+    tier += 1;
+    const terms = {
+      tier, series: round.label,
+      preference: round.preference, participation: round.participation, participationCap: round.participationCap,
+    };
+
+    const share = (round.amount / (round.valuation + round.amount)) * 100;
+    const poolTarget = round.poolTarget || 0;
+    // Pre-money: size the pool so it lands on target once the new money
+    // dilutes it. SAFEs converting into this round keep their %: their
+    // post-money cap never counted this round's pool increase.
+    let poolTopUp = round.poolTiming === 'pre'
+      ? topUpPool(Math.min(90, poolTarget / (1 - share / 100)), conversions.map(({ c }) => [c.holder, c.holder.pct]))
+      : 0;
+    conversions.forEach(({ c }) => classes.push({
+      id: c.id, label: c.label, month: c.month, invested: c.amount, kind: 'convertible',
+      pct: c.holder.pct, foundersAt: totalOf('founders'), ...terms,
+    }));
+    const earlier = holders.filter(h => h.kind === 'investor').map(h => [h, h.pct]);
+    holders.forEach(h => { h.pct *= 1 - share / 100; });
+    let proRataPct = 0;
+    earlier.forEach(([h, before]) => {
+      const take = share * (before / 100) * ((round.proRata || 0) / 100);
+      h.pct += take;
+      proRataPct += take;
+    });
+    holders.push({ id: round.id, label: round.label, kind: 'investor', pct: share - proRataPct });
+    classes.push({
+      id: round.id, label: round.label, month: round.month, invested: round.amount, kind: 'priced',
+      pct: share, foundersAt: totalOf('founders'), ...terms,
+    });
+    if (round.poolTiming === 'post') poolTopUp = topUpPool(poolTarget);
+    return {
+      share,
+      conversions: converted,
+      poolTopUp,
+      proRataAmount: round.amount * (proRataPct / share),
+    };
+  };
+
+  // Seed, then the option pool out of the founders
+  const seed = {
+    id: 'seed', label: 'Seed', month: 0, instrument: runway.seedInstrument,
+    amount: runway.seedAmount, valuation: runway.seedValuation, discount: runway.seedDiscount,
+    preference: runway.seedPreference, participation: runway.seedParticipation, participationCap: runway.seedParticipationCap,
+  };
+  const seedConvertible = isConvertible(seed.instrument);
+  const seedResult = seedConvertible ? addConvertible(seed) : addPriced(seed);
+  const seedHolder = holders.find(h => h.id === 'seed');
+  const seedPct = Math.min(seedHolder ? seedHolder.pct : 0, 80);
+  const pool = { id: 'pool', label: 'Option Pool', kind: 'pool', pct: 0 };
+  holders.push(pool);
+  settle([[pool, Math.min(runway.optionPool, 80 - seedPct)], ...(seedHolder ? [[seedHolder, seedPct]] : [])]);
+  // The carve-out holds a priced seed's % in place, so measure it again
+  const seedClass = classes.find(c => c.id === 'seed');
+  if (seedClass) Object.assign(seedClass, { pct: seedHolder.pct, foundersAt: totalOf('founders') });
+  snapshot({ ...seed, kind: seedConvertible ? 'convertible' : 'priced', ...seedResult, poolTopUp: pool.pct });
+
+  for (const r of raises) {
+    const round = {
+      id: r.id, label: r.name, month: r.month, instrument: r.instrument, amount: r.amount,
+      valuation: r.valuation, discount: r.discount, poolTarget: r.poolTarget, poolTiming: r.poolTiming, proRata: r.proRata,
+      preference: r.preference, participation: r.participation, participationCap: r.participationCap,
+    };
+    const convertible = isConvertible(r.instrument);
+    snapshot({ ...round, kind: convertible ? 'convertible' : 'priced', assumed: !!r.assumed, ...(convertible ? addConvertible(round) : addPriced(round)) });
+  }
+
+  const founders = totalOf('founders');
+  return {
+    founders,
+    investors: totalOf('investor'),
+    pool: totalOf('pool'),
+    holders,
+    rounds,
+    unconverted: pending.map(c => ({ id: c.id, label: c.label, capped: c.valuation > 0 })),
+    preferred: [
+      ...classes.map(({ foundersAt, ...c }) => ({ ...c, pct: (c.pct * founders) / foundersAt })),
+      // A SAFE still outstanding at a sale takes its money back or its
+      // as-converted share, whichever is more, alongside the latest round
+      ...pending.map(c => ({
+        id: c.id, label: c.label, month: c.month, invested: c.amount, kind: 'convertible', pct: c.holder.pct,
+        tier: Math.max(tier, 1), series: null, preference: 1, participation: 'none', participationCap: 0,
+      })),
+    ],
+  };
+}
+
+// ── Exit waterfall ────────────────────────────────────────────
+// Splits a sale price across buildCapTable's result. Preferences come off
+// the top — newest round first when 'stacked', all at once 'pari' passu,
+// pro rata to what's owed when a tier can't be paid in full — and what's
+// left is shared by % among founders, the pool, converted classes and
+// participating ones. Capped participation stops at participationCap ×
+// invested. Non-participating and capped classes convert to common when
+// that pays more; converting only gets more attractive as others convert,
+// so one pass that repeats until nobody switches settles it.
+// Returns { exitValue, founders, pool, classes: [{ ...class, payout, converts }] }.
+export function exitWaterfall(capTable, exitValue, seniority) {
+  const classes = capTable.preferred;
+  const tierOf = (c) => (seniority === 'pari' ? 0 : c.tier);
+  const tiers = [...new Set(classes.map(tierOf))].sort((a, b) => b - a);
+  const owedBy = (c) => c.invested * c.preference;
+
+  const distribute = (converted) => {
+    const payout = classes.map(() => 0);
+    let remaining = exitValue;
+    for (const t of tiers) {
+      const inTier = classes.map((c, i) => i).filter(i => !converted[i] && tierOf(classes[i]) === t);
+      const owed = inTier.reduce((sum, i) => sum + owedBy(classes[i]), 0);
+      const paid = Math.min(remaining, owed);
+      inTier.forEach(i => { payout[i] = owed > 0 ? (paid * owedBy(classes[i])) / owed : 0; });
+      remaining -= paid;
+    }
+    // Share the rest by %; a capped class that would pass its cap takes
+    // the cap instead and the others split the difference
+    const open = classes.map((c, i) => converted[i] || c.participation !== 'none');
+    const commonPct = capTable.founders + capTable.pool;
+    let perPct = 0;
+    for (;;) {
+      const weight = commonPct + classes.reduce((sum, c, i) => sum + (open[i] ? c.pct : 0), 0);
+      const each = weight > 0 ? remaining / weight : 0;
+      const capped = classes.map((c, i) => i).filter(i => open[i] && !converted[i] && classes[i].participation === 'capped'
+        && payout[i] + classes[i].pct * each > classes[i].participationCap * classes[i].invested);
+      if (!capped.length) {
+        classes.forEach((c, i) => { if (open[i]) payout[i] += c.pct * each; });
+        perPct = each;
+        break;
+      }
+      capped.forEach(i => {
+        const top = Math.max(payout[i], classes[i].participationCap * classes[i].invested);
+        remaining -= top - payout[i];
+        payout[i] = top;
+        open[i] = false;
+      });
+    }
+    return { payout, perPct };
+  };
+
+  const converted = classes.map(() => false);
+  let result = distribute(converted);
+  for (let changed = true; changed;) {
+    changed = false;
+    classes.forEach((c, i) => {
+      if (converted[i] || c.participation === 'full') return;
+      const trial = distribute(converted.map((v, j) => v || j === i));
+      if (trial.payout[i] > result.payout[i] + 0.01) {
+        converted[i] = true;
+        result = trial;
+        changed = true;
+      }
+    });
+  }
+
+  return {
+    exitValue,
+    founders: capTable.founders * result.perPct,
+    pool: capTable.pool * result.perPct,
+    classes: classes.map((c, i) => ({ ...c, payout: result.payout[i], converts: converted[i] })),
+  };
+}
+
+// ── Scoring Engine ────────────────────────────────────────────
+// Returns { score: 0-100, flags: [{id, module, severity, msg, detail, fix}],
+//           breakdown: [{id, module, label, value, earned, possible, next}], derived }
+// Heuristics are investor-grade rules of thumb, not magic formulas.
+export function computeScore(market, unit, runway) {
+  const flags = [];
+  const breakdown = [];
+  let score = 0;
+
+  // Scores one tiered rule and records it for the explainability waterfall.
+  // tiers are best-first [threshold, points]; `lower` flips the comparison
+  // for metrics where smaller is better. `next` describes the closest tier
+  // still worth more points, with `gap` = relative change needed to reach it.
+  const rule = (id, module, label, value, tiers, { lower = false, format = fmt.num } = {}) => {
+    const meets = (t) => value != null && (lower ? value <= t : value >= t);
+    const hit = tiers.find(([t]) => meets(t));
+    const earned = hit ? hit[1] : 0;
+    const better = tiers.filter(([, pts]) => pts > earned);
+    const next = better.length ? better[better.length - 1] : null;
+    breakdown.push({
+      id, module, label, earned,
+      value: value == null ? '—' : format(value),
+      possible: tiers[0][1],
+      next: next && {
+        threshold: `${lower ? '≤' : '≥'} ${format(next[0])}`,
+        points: next[1] - earned,
+        gap: value ? Math.abs(next[0] - value) / Math.abs(value) : null,
+      },
+    });
+    return earned;
+  };
+
+  // ── MODULE 1: Market ──────────────────────────────────────
+  const sizing = marketSizing(market);
+  const { tam, sam, som } = sizing;
+  const arrPath = arrRamp(som, market.horizon, market);
+  const goalYear = goalCrossingYear(arrPath, market.targetARR);
+
+  // TAM size: venture requires meaningful exit potential
+  score += rule('tam', 1, 'TAM size', tam,
+    [[10_000_000_000, 20], [1_000_000_000, 13]], { format: fmt.currency });
+  if (tam < 1_000_000_000) {
+    flags.push({
+      id: 'tam_small', module: 1, severity: 'critical',
+      msg: 'TAM too small for venture',
+      detail: `$${(tam / 1e6).toFixed(0)}M TAM limits exit size. VCs need $1B+ markets.`,
+      fix: 'Reframe your market. Think total category, not initial niche.',
+    });
+  }
+
+  // SOM realism: capturing >10% of SAM quickly is a red flag
+  score += rule('som_pct', 1, 'SOM realism', market.somPct,
+    [[5, 15], [10, 8]], { lower: true, format: fmt.pct });
+  if (market.somPct > 10) {
+    flags.push({
+      id: 'som_high', module: 1, severity: 'warning',
+      msg: `SOM ${market.somPct}% of SAM is aggressive`,
+      detail: `Most B2B SaaS companies capture 3–8% of SAM in 5 years.`,
+      fix: `Drop SOM to 5–8% and back it with a clear GTM sequence.`,
+    });
+  }
+
+  // SOM absolute: should be meaningful
+  score += rule('som_abs', 1, 'SOM size', som,
+    [[100_000_000, 10], [30_000_000, 5]], { format: fmt.currency });
+  if (som < 30_000_000) {
+    flags.push({
+      id: 'som_abs', module: 1, severity: 'warning',
+      msg: `SOM ${fmt.currency(som)} too small`,
+      detail: 'Venture-backed startups need a path to $100M+ revenue.',
+      fix: 'Expand TAM definition or justify why a larger share is reachable.',
+    });
+  }
+
+  // ── MODULE 2: Unit Economics ──────────────────────────────
+  const monthlyPrice = monthlyPriceOf(unit);
+  const grossRevPerMonth = monthlyPrice * (unit.grossMargin / 100);
+  const curved = unit.retentionCurve.length > 0;
+  const { ltvMonths, grr, nrr } = cohortValue(unit);
+  // With acquisition channels, CAC, LTV, payback and churn are their blend
+  const acquisition = channelEconomics(unit);
+  const { churnMonthly, lifespanMonths: avgLifespanMonths } = acquisition ? acquisition.blended : churnProfile(unit);
+  const cac = acquisition ? acquisition.blended.cac : unit.cac;
+  const ltv = acquisition ? acquisition.blended.ltv : grossRevPerMonth * ltvMonths;
+  const payback = acquisition ? acquisition.blended.payback
+    : grossRevPerMonth > 0 ? unit.cac / grossRevPerMonth : 999;
+  const ltvCac = cac > 0 ? ltv / cac : 0;
+
+  // LTV/CAC: the core SaaS efficiency metric
+  score += rule('ltvcac', 2, 'LTV / CAC', ltvCac,
+    [[5, 20], [3, 12], [2, 5]], { format: fmt.ratio });
+  if (ltvCac < 2) {
+    flags.push({
+      id: 'ltvcac_low', module: 2, severity: 'critical',
+      msg: `LTV/CAC ${fmt.ratio(ltvCac)} — below minimum`,
+      detail: 'Below 3x means you spend more acquiring customers than you recover in profit.',
+      fix: 'Raise price, reduce churn, or cut CAC. Target 3x minimum, 5x for A-round.',
+    });
+  }
+  // A blend can hide a channel that never earns back what it costs
+  for (const c of acquisition?.channels ?? []) {
+    if (!(c.spend > 0) || c.ltvCac >= 1) continue;
+    flags.push({
+      id: `channel_loss_${c.id}`, module: 2, severity: 'critical',
+      msg: `${c.name} loses money — LTV/CAC ${fmt.ratio(c.ltvCac)}`,
+      detail: Number.isFinite(c.cac)
+        ? `Each customer costs ${fmt.currency(c.cac)} and returns ${fmt.currency(c.ltv)} of gross profit. ${fmt.currency(c.spend)}/mo goes into it.`
+        : `${fmt.currency(c.spend)}/mo goes into it and it brings in no customers.`,
+      fix: 'Rework or cut the channel, and move its budget to channels above 3x.',
+    });
+  }
+
+  // Payback period: shorter = better capital efficiency
+  score += rule('payback', 2, 'CAC payback', payback,
+    [[6, 15], [12, 8]], { lower: true, format: fmt.months });
+  if (payback > 12) {
+    flags.push({
+      id: 'payback_long', module: 2, severity: 'warning',
+      msg: `Payback ${Math.round(payback)} months`,
+      detail: `It takes ${Math.round(payback)} months to recover CAC. >12mo is a cash flow risk.`,
+      fix: 'Lower CAC via product-led growth, or raise price/reduce COGS.',
+    });
+  }
+
+  // Gross margin: SaaS should be 70–80%+
+  score += rule('margin', 2, 'Gross margin', unit.grossMargin,
+    [[70, 10], [60, 5]], { format: (v) => fmt.pct(v, 0) });
+  if (unit.grossMargin < 60) {
+    flags.push({
+      id: 'margin_low', module: 2, severity: 'warning',
+      msg: `Gross margin ${unit.grossMargin}% — below SaaS norm`,
+      detail: 'SaaS benchmarks: 70–80%+. Lower margin limits R&D and S&M investment.',
+      fix: 'Audit COGS (support, hosting, third-party). Consider pricing strategy.',
+    });
+  }
+
+  // Net revenue retention: does the installed base grow on its own?
+  score += rule('nrr', 2, 'Net revenue retention', nrr,
+    [[120, 10], [100, 6], [90, 3]], { format: (v) => fmt.pct(v, 0) });
+  if (nrr < 90) {
+    flags.push({
+      id: 'nrr_low', module: 2, severity: 'warning',
+      msg: `NRR ${fmt.pct(nrr, 0)} — the base shrinks every year`,
+      detail: `Of each $100 of MRR, $${nrr.toFixed(0)} is left a year later (GRR ${fmt.pct(grr, 0)}). Median SaaS NRR is ~100%; best-in-class is 120%+.`,
+      fix: 'Give customers room to grow — seats, usage tiers, add-ons — and find out why they downgrade.',
+    });
+  } else if (nrr >= 100 && grr < 80) {
+    flags.push({
+      id: 'grr_low', module: 2, severity: 'warning',
+      msg: `GRR ${fmt.pct(grr, 0)} — expansion is hiding churn`,
+      detail: `NRR is ${fmt.pct(nrr, 0)}, but only because upsell outruns a leaky base. Investors look for GRR of 80–90%+.`,
+      fix: 'Fix onboarding and downgrades before leaning on expansion.',
+    });
+  }
+
+  // High churn destroys LTV
+  if (churnMonthly >= 5) {
+    flags.push({
+      id: 'churn_high', module: 2, severity: 'warning',
+      msg: `Monthly churn ${+churnMonthly.toFixed(1)}% — very high`,
+      detail: `${+churnMonthly.toFixed(1)}% monthly${curved ? ' (year-one average of the retention curve)' : ''}${acquisition ? ' across channels, weighted by customers' : ''} = ${(100 - Math.pow(1 - churnMonthly / 100, 12) * 100).toFixed(0)}% annual churn.`,
+      fix: 'Invest in onboarding and customer success. Target <2% monthly for B2B.',
+    });
+  }
+
+  // ── MODULE 3: Runway ──────────────────────────────────────
+  const horizonMonths = runway.projectionMonths;
+  const projection = projectRunway(unit, runway, scoreHorizon(runway));
+  const { runwayMonths, breakevenMonth } = projection;
+  const [cashData, mrrData, customerData, burnData, billingsData, deferredData, raiseData] = [
+    projection.cashData, projection.mrrData, projection.customerData, projection.burnData,
+    projection.billingsData, projection.deferredData, projection.raiseData,
+  ].map(series => series.slice(0, horizonMonths + 1));
+  const raises = projection.raises.map(r => ({ ...runway.financings.find(f => f.id === r.id), ...r }));
+  // Cash outlasts the whole projection: report "> N months", not a number
+  const runwayBeyondHorizon = runwayMonths === projection.months;
+  const runwayLabel = (m) => (runwayBeyondHorizon && m === runwayMonths ? `> ${fmt.months(m)}` : fmt.months(m));
+
+  // Efficiency: the ratios Series A partners check first
+  const efficiency = efficiencyMetrics(runway, projection);
+  const { burnMultiple, ruleOf40, magicNumber, arrPerEmployee } = efficiency;
+  if (efficiencyStatus('burnMultiple', burnMultiple) === 'bad') {
+    flags.push({
+      id: 'burn_multiple_high', module: 3, severity: 'warning',
+      msg: Number.isFinite(burnMultiple)
+        ? `Burn multiple ${fmt.ratio(burnMultiple)} — expensive growth`
+        : 'Burning cash without adding ARR',
+      detail: `${fmt.currency(efficiency.netBurn)} net burn over the next 12 months buys ${fmt.currency(Math.max(0, efficiency.netNewArr))} of net new ARR. Under 1.5x is efficient; over 3x is hard to fund.`,
+      fix: 'Grow ARR faster per dollar — cheaper acquisition, less churn, or trim burn that does not drive revenue.',
+    });
+  }
+  if (efficiencyStatus('magicNumber', magicNumber) === 'bad') {
+    flags.push({
+      id: 'magic_number_low', module: 3, severity: 'warning',
+      msg: `Magic number ${magicNumber.toFixed(2)} — acquisition spend underperforms`,
+      detail: 'Each $1 of acquisition spend adds under $0.50 of net new ARR in a year. Investors want 0.75+.',
+      fix: 'Lower CAC or raise price before scaling the acquisition budget.',
+    });
+  }
+  if (efficiency.arr >= EFFICIENCY_MIN_ARR && efficiencyStatus('ruleOf40', ruleOf40) !== 'good') {
+    flags.push({
+      id: 'rule_of_40_low', module: 3, severity: 'warning',
+      msg: `Rule of 40 at ${ruleOf40.toFixed(0)} — growth doesn't pay for the losses`,
+      detail: `${fmt.pct(efficiency.growth, 0)} ARR growth, ${fmt.pct(efficiency.margin, 0)} operating margin. Past $1M ARR investors expect the two to sum to 40+.`,
+      fix: 'Either grow faster or cut burn until growth + margin clears 40.',
+    });
+  }
+  if (efficiency.arr >= EFFICIENCY_MIN_ARR && efficiencyStatus('arrPerEmployee', arrPerEmployee) === 'bad') {
+    flags.push({
+      id: 'arr_per_employee_low', module: 3, severity: 'warning',
+      msg: `${fmt.currency(arrPerEmployee)} ARR per employee — team ahead of revenue`,
+      detail: 'Scaling SaaS companies run at $100K–$200K+ ARR per head.',
+      fix: 'Hold hiring until revenue catches up with the team.',
+    });
+  }
+
+  // Ownership from the seed terms plus every raise that closes. Rounds
+  // planned past the projection can't be checked, so they're assumed to.
+  const closedRaises = raises.filter(r => r.closed);
+  const laterRaises = runway.financings
+    .filter(f => f.month > projection.months && f.amount > 0)
+    .map(f => ({ ...f, assumed: true }));
+  const capTable = buildCapTable(runway, [...closedRaises, ...laterRaises].sort((a, b) => a.month - b.month));
+  const founderOwnership = capTable.founders;
+  const totalDilution = 100 - founderOwnership;
+
+  // Runway adequacy: 18+ months to close next round
+  score += rule('runway', 3, 'Runway', runwayMonths,
+    [[18, 20], [12, 10], [6, 3]], { format: runwayLabel });
+  if (runwayMonths < 6) {
+    flags.push({
+      id: 'runway_critical', module: 3, severity: 'critical',
+      msg: `Only ${runwayMonths} months of runway`,
+      detail: 'Fundraising takes 3–6 months. Under 12 months is an emergency.',
+      fix: 'Cut burn aggressively, or start Series A prep immediately.',
+    });
+  }
+
+  if (runwayMonths < 18) {
+    flags.push({
+      id: 'runway_short', module: 3, severity: 'warning',
+      msg: `Runway ${runwayMonths} mo — target 18+`,
+      detail: 'Less than 18 months means you may need to raise under pressure.',
+      fix: 'Reduce burn, accelerate revenue, or plan a bridge round.',
+    });
+  }
+
+  // Breakeven path
+  score += rule('breakeven', 3, 'Breakeven', breakevenMonth,
+    [[24, 10]], { lower: true, format: (m) => `M${m}` });
+  if (breakevenMonth === null || breakevenMonth > 24) {
+    flags.push({
+      id: 'no_breakeven', module: 3, severity: 'warning',
+      msg: breakevenMonth === null
+        ? `No breakeven within ${projection.months} months`
+        : `Breakeven not until month ${breakevenMonth}`,
+      detail: 'No path to cash-flow positive without additional funding.',
+      fix: runway.revenueMode === 'customers'
+        ? 'Lower CAC, cut churn, or raise price so customer MRR outgrows burn.'
+        : 'Increase MoM growth rate or reduce burn to find breakeven.',
+    });
+  }
+
+  // Dilution: founders should retain meaningful equity
+  score += rule('dilution', 3, 'Dilution', totalDilution,
+    [[25, 5]], { lower: true, format: (v) => fmt.pct(v, 0) });
+  if (totalDilution > 35) {
+    flags.push({
+      id: 'dilution_heavy', module: 3, severity: 'warning',
+      msg: `${totalDilution.toFixed(0)}% total dilution — aggressive`,
+      detail: `Founders at ${founderOwnership.toFixed(0)}% after seed${capTable.rounds.length > 1 ? ` and ${capTable.rounds.length - 1} later raise${capTable.rounds.length > 2 ? 's' : ''}` : ''}. Heavy option pool eats returns.`,
+      fix: 'Negotiate a higher SAFE cap or pre-money, or a smaller option pool.',
+    });
+  }
+
+  const uncapped = capTable.unconverted.filter(c => !c.capped);
+  if (uncapped.length) {
+    flags.push({
+      id: 'safe_uncapped', module: 3, severity: 'warning',
+      msg: `Uncapped ${uncapped.map(c => c.label).join(', ')} — dilution unknown`,
+      detail: 'An uncapped SAFE converts at the next priced round\'s price, so what it owns isn\'t known until then. It counts as 0% here.',
+      fix: 'Agree a post-money cap, or add the priced round it converts in.',
+    });
+  }
+
+  return {
+    score: Math.min(100, Math.max(0, score)),
+    flags,
+    breakdown,
+    derived: {
+      tam, sam, som, sizing, arrPath, goalYear, ltv, cac, payback, ltvCac, avgLifespanMonths, grr, nrr, churnMonthly,
+      acquisition, efficiency,
+      runwayMonths, runwayBeyondHorizon, projectedMonths: projection.months,
+      breakevenMonth, cashData, mrrData, customerData, burnData, billingsData, deferredData, raiseData, raises,
+      grossBurn: projection.grossBurn, newCustomersPerMonth: projection.newPerMonth, marketing: projection.marketing,
+      founderOwnership, totalDilution, capTable,
+    },
+  };
+}
+
+// Runway as the UI shows it: "> N mo" once cash outlasts the projection
+export function formatRunway({ runwayMonths, runwayBeyondHorizon }) {
+  return `${runwayBeyondHorizon ? '> ' : ''}${fmt.months(runwayMonths)}`;
+}
+
+// ── Module completion heuristic ───────────────────────────────
+// A module is "done" when its score contribution and flags are healthy
+export function checkModuleComplete(moduleId, flags, score) {
+  const moduleFlags = flags.filter(f => f.module === moduleId);
+  const hasCritical = moduleFlags.some(f => f.severity === 'critical');
+  // Module-specific thresholds
+  return !hasCritical && score >= 65;
+}
+
+// ── Output metrics ────────────────────────────────────────────
+// What the analysis tools can read off a computeScore result.
+// `higher` says which direction is better (used by goal-seek).
+export const OUTPUT_METRICS = {
+  score: { label: 'Investor Score', higher: true, read: (r) => r.score, format: (v) => v.toFixed(0) },
+  runwayMonths: { label: 'Runway', higher: true, read: (r) => r.derived.runwayMonths, format: fmt.months },
+  ltvCac: { label: 'LTV / CAC', higher: true, read: (r) => r.derived.ltvCac, format: fmt.ratio },
+  founderOwnership: { label: 'Founder Ownership', higher: true, read: (r) => r.derived.founderOwnership, format: (v) => fmt.pct(v) },
+  payback: { label: 'CAC Payback', higher: false, read: (r) => r.derived.payback, format: fmt.months },
+  nrr: { label: 'Net Revenue Retention', higher: true, read: (r) => r.derived.nrr, format: (v) => fmt.pct(v, 0) },
+  breakevenMonth: {
+    label: 'Breakeven Month', higher: false,
+    read: (r) => r.derived.breakevenMonth ?? Infinity,
+    format: (v) => (Number.isFinite(v) ? `M${v}` : 'never'),
+  },
+};
+
+// ── Sensitivity analysis ──────────────────────────────────────
+export const SENSITIVITY_METRICS = ['score', 'runwayMonths', 'ltvCac', 'founderOwnership'];
+
+// Shifts every registered input down and up (by `pct` % or by `steps`
+// steps, clamped to its range) and re-scores the model each way.
+// Returns rows sorted by swing on `sortBy`, widest first.
+export function runSensitivity(model, { mode, amount }, sortBy) {
+  const base = computeScore(model.market, model.unit, model.runway);
+  const rows = activeParams(model).map(field => {
+    const spec = PARAM_SPECS[field];
+    const value = model[spec.slice][field];
+    const delta = mode === 'steps' ? spec.step * amount : Math.abs(value) * (amount / 100);
+    const clamp = (v) => Math.max(spec.min, Math.min(spec.max, v));
+    const lowValue = clamp(value - delta);
+    const highValue = clamp(value + delta);
+    const run = (v) => {
+      const m = withParam(model, field, v);
+      return computeScore(m.market, m.unit, m.runway);
+    };
+    const low = run(lowValue);
+    const high = run(highValue);
+    const outputs = {};
+    for (const key of SENSITIVITY_METRICS) {
+      const lo = OUTPUT_METRICS[key].read(low);
+      const hi = OUTPUT_METRICS[key].read(high);
+      outputs[key] = { low: lo, high: hi, swing: Math.abs(hi - lo) };
+    }
+    return { field, spec, value, lowValue, highValue, outputs };
+  });
+  rows.sort((a, b) => b.outputs[sortBy].swing - a.outputs[sortBy].swing);
+  return { base, rows };
+}
+
+// ── Goal seek ─────────────────────────────────────────────────
+// Finds the value of one input, inside its ParameterCell range, that
+// makes `metricKey` meet `target` (≥ or ≤ depending on the metric),
+// choosing the qualifying value closest to the current one.
+// Returns { status: 'met' | 'found' | 'unreachable', value, result, best }
+export function goalSeek(model, metricKey, target, field) {
+  const spec = PARAM_SPECS[field];
+  const metric = OUTPUT_METRICS[metricKey];
+  const current = model[spec.slice][field];
+  const snap = (v) => Math.max(spec.min, Math.min(spec.max, Math.round(v / spec.step) * spec.step));
+  const evaluate = (v) => {
+    const m = withParam(model, field, v);
+    return computeScore(m.market, m.unit, m.runway);
+  };
+  const meets = (r) => (metric.higher ? metric.read(r) >= target : metric.read(r) <= target);
+
+  const baseResult = evaluate(current);
+  if (meets(baseResult)) return { status: 'met', value: current, result: baseResult };
+
+  // Coarse scan — log-spaced when the range spans several orders of magnitude
+  const stepsInRange = Math.floor((spec.max - spec.min) / spec.step);
+  const useLog = spec.min > 0 && spec.max / spec.min > 1000;
+  const count = Math.min(stepsInRange, 400);
+  const samples = [];
+  for (let i = 0; i <= count; i++) {
+    const t = i / count;
+    samples.push(snap(useLog
+      ? spec.min * Math.pow(spec.max / spec.min, t)
+      : spec.min + (spec.max - spec.min) * t));
+  }
+  const scanned = [...new Set([...samples, current])].sort((a, b) => a - b)
+    .map(v => ({ v, r: evaluate(v) }));
+
+  const feasible = scanned.filter(s => meets(s.r));
+  if (feasible.length === 0) {
+    const best = scanned.reduce((a, b) => {
+      const av = metric.read(a.r), bv = metric.read(b.r);
+      return (metric.higher ? bv > av : bv < av) ? b : a;
+    });
+    return { status: 'unreachable', value: best.v, result: best.r, best: metric.read(best.r) };
+  }
+
+  // Closest qualifying sample, then bisect toward the current value
+  let hit = feasible.reduce((a, b) => (Math.abs(b.v - current) < Math.abs(a.v - current) ? b : a));
+  const idx = scanned.indexOf(hit);
+  const towards = hit.v > current ? scanned[idx - 1] : scanned[idx + 1];
+  if (towards && !meets(towards.r)) {
+    let lo = towards.v, hi = hit.v; // lo fails, hi meets
+    while (Math.abs(hi - lo) > spec.step) {
+      const mid = snap((lo + hi) / 2);
+      if (mid === lo || mid === hi) break;
+      const r = evaluate(mid);
+      if (meets(r)) { hi = mid; hit = { v: mid, r }; } else { lo = mid; }
+    }
+  }
+  return { status: 'found', value: hit.v, result: hit.r };
+}
+
+// ── Optimizer ─────────────────────────────────────────────────
+// Beam search for the smallest sets of input changes that lift the score
+// to `targetScore`. Each candidate move scales one unlocked input
+// (or steps it up from zero); plans are then shrunk change-by-change to
+// the smallest move that still meets the target.
+// Returns plans ranked by number of changes, then total relative change:
+//   [{ changes: [{ field, from, to, rel }], result, cost }]
+const OPTIMIZER_FACTORS = [0.5, 0.7, 0.85, 1.15, 1.3, 1.5, 2, 3];
+
+export function optimizeModel(model, targetScore, locked, { maxChanges = 3, beamWidth = 40, maxPlans = 5 } = {}) {
+  const base = computeScore(model.market, model.unit, model.runway);
+  const fields = activeParams(model).filter(f => !locked.includes(f));
+  const snapFor = (spec) => (v) => Math.max(spec.min, Math.min(spec.max, Math.round(v / spec.step) * spec.step));
+  const relChange = (field, to) => {
+    const from = model[PARAM_SPECS[field].slice][field];
+    return Math.abs(to - from) / Math.max(Math.abs(from), PARAM_SPECS[field].step);
+  };
+
+  const moves = fields.flatMap(field => {
+    const spec = PARAM_SPECS[field];
+    const from = model[spec.slice][field];
+    const snap = snapFor(spec);
+    const raw = from === 0
+      ? [1, 2, 4, 8, 16, 32].map(k => k * spec.step)
+      : OPTIMIZER_FACTORS.map(f => from * f);
+    return [...new Set(raw.map(snap))]
+      .filter(to => to !== from)
+      .map(to => ({ field, from, to, rel: relChange(field, to) }));
+  });
+
+  const keyOf = (changes) => changes.map(c => `${c.field}=${c.to}`).sort().join('|');
+  let beam = [{ changes: [], model, result: base, cost: 0 }];
+  const plans = [];
+  const seen = new Set();
+
+  for (let depth = 1; depth <= maxChanges; depth++) {
+    const next = [];
+    for (const node of beam) {
+      for (const move of moves) {
+        if (node.changes.some(c => c.field === move.field)) continue;
+        const changes = [...node.changes, move];
+        const key = keyOf(changes);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const m = withParam(node.model, move.field, move.to);
+        const result = computeScore(m.market, m.unit, m.runway);
+        if (result.score <= node.result.score) continue; // only improving moves
+        const entry = { changes, model: m, result, cost: node.cost + move.rel };
+        if (result.score >= targetScore) plans.push(entry);
+        else next.push(entry);
+      }
+    }
+    // Stop once a depth has produced enough plans — deeper ones are bigger
+    if (plans.length >= maxPlans) break;
+    next.sort((a, b) => b.result.score - a.result.score || a.cost - b.cost);
+    beam = next.slice(0, beamWidth);
+    if (beam.length === 0) break;
+  }
+
+  // Shrink each change toward its original value while the target holds.
+  // Biggest moves first, twice over, so one change can't lean on another
+  // that is later shrunk away.
+  const shrink = (plan) => {
+    let current = plan.model;
+    const changes = plan.changes.map(c => ({ ...c }));
+    for (let pass = 0; pass < 2; pass++) {
+      for (const c of [...changes].sort((a, b) => b.rel - a.rel)) {
+        const spec = PARAM_SPECS[c.field];
+        const snap = snapFor(spec);
+        let ok = c.to, bad = c.from;
+        while (Math.abs(ok - bad) > spec.step) {
+          const mid = snap((ok + bad) / 2);
+          if (mid === ok || mid === bad) break;
+          const m = withParam(current, c.field, mid);
+          if (computeScore(m.market, m.unit, m.runway).score >= targetScore) ok = mid;
+          else bad = mid;
+        }
+        c.to = ok;
+        c.rel = relChange(c.field, ok);
+        current = withParam(current, c.field, ok);
+      }
+    }
+    return {
+      changes,
+      result: computeScore(current.market, current.unit, current.runway),
+      cost: changes.reduce((sum, c) => sum + c.rel, 0),
+    };
+  };
+
+  const unique = new Map();
+  for (const plan of plans.map(shrink)) {
+    const key = keyOf(plan.changes);
+    if (!unique.has(key)) unique.set(key, plan);
+  }
+  return [...unique.values()]
+    .sort((a, b) => a.changes.length - b.changes.length || a.cost - b.cost)
+    .slice(0, maxPlans);
+}
+
+// ── Monthly projection ────────────────────────────────────────
+// The rows behind CashFlowChart, one per month, with burn split into its
+// categories from the hiring plan and cost lines. Revenue is shown three
+// ways: bookings (new ARR signed), billings (what's invoiced, i.e. cash
+// in) and recognised revenue, with deferred revenue the running gap
+// between the last two. Categories add up to gross burn, net burn is
+// gross burn less billings, and every row ties out:
+// ending = opening − net burn + raise.
+export const PROJECTION_COLUMNS = [
+  { key: 'month', label: 'Month' },
+  { key: 'openingCash', label: 'Opening Cash' },
+  { key: 'bookings', label: 'Bookings (New ARR)' },
+  { key: 'billings', label: 'Billings' },
+  { key: 'mrr', label: 'Recognized Revenue' },
+  { key: 'deferred', label: 'Deferred Revenue' },
+  { key: 'headcount', label: 'Headcount', burn: true },
+  { key: 'infra', label: 'Infrastructure', burn: true },
+  { key: 'ops', label: 'Operations', burn: true },
+  { key: 'marketing', label: 'Marketing', burn: true },
+  { key: 'grossBurn', label: 'Gross Burn' },
+  { key: 'netBurn', label: 'Net Cash Burn' },
+  { key: 'fundraise', label: 'Fundraise' },
+  { key: 'endingCash', label: 'Ending Cash' },
+];
+
+const PROJECTION_FLOWS = ['bookings', 'billings', 'mrr', 'headcount', 'infra', 'ops', 'marketing', 'grossBurn', 'netBurn', 'fundraise'];
+
+export function buildProjection(unit, runway) {
+  const { cashData, mrrData, bookingsData, billingsData, deferredData, raiseData, marketing } = projectRunway(unit, runway);
+
+  const months = [];
+  for (let m = 1; m < cashData.length; m++) {
+    const mrr = mrrData[m - 1];
+    const { headcount, infra, ops } = burnAt(runway, m);
+    const grossBurn = headcount + infra + ops + marketing;
+    months.push({
+      month: m,
+      openingCash: cashData[m - 1],
+      bookings: bookingsData[m],
+      billings: billingsData[m],
+      mrr,
+      deferred: deferredData[m],
+      headcount, infra, ops, marketing, grossBurn,
+      netBurn: grossBurn - billingsData[m],
+      fundraise: raiseData[m],
+      endingCash: cashData[m],
+    });
+  }
+
+  // Year subtotals plus a grand total: flows are summed, cash is the
+  // opening balance of the first month and closing balance of the last,
+  // deferred revenue the closing balance
+  const subtotal = (label, rows) => ({
+    label,
+    first: rows[0].month,
+    last: rows[rows.length - 1].month,
+    openingCash: rows[0].openingCash,
+    endingCash: rows[rows.length - 1].endingCash,
+    deferred: rows[rows.length - 1].deferred,
+    ...Object.fromEntries(PROJECTION_FLOWS.map(k => [k, rows.reduce((sum, r) => sum + r[k], 0)])),
+  });
+  const subtotals = [];
+  for (let i = 0; i < months.length; i += 12) {
+    subtotals.push(subtotal(`Year ${i / 12 + 1}`, months.slice(i, i + 12)));
+  }
+  subtotals.push(subtotal('Total', months));
+  return { months, subtotals };
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULTS, FINANCING_DEFAULTS, buildCapTable, exitWaterfall } from './model.js';
+
+const raise = (fields) => ({ ...FINANCING_DEFAULTS, discount: 0, ...fields });
+
+// Seed SAFE (DEFAULTS), priced A and B, then a bridge SAFE that is still
+// outstanding at the sale
+const capTable = buildCapTable(DEFAULTS.runway, [
+  raise({ id: 'a', name: 'Series A', month: 12, instrument: 'equity', amount: 5_000_000, valuation: 20_000_000 }),
+  raise({ id: 'b', name: 'Series B', month: 24, instrument: 'equity', amount: 15_000_000, valuation: 60_000_000 }),
+  raise({ id: 'bridge', name: 'Bridge', month: 30, instrument: 'safe', amount: 2_000_000, valuation: 100_000_000 }),
+]);
+
+const payoutOf = (result, id) => result.classes.find(c => c.id === id).payout;
+const totalOf = (result) => result.founders + result.pool + result.classes.reduce((sum, c) => sum + c.payout, 0);
+
+describe('exit waterfall', () => {
+  it('pays an unconverted SAFE alongside the latest round when stacked', () => {
+    const result = exitWaterfall(capTable, 5_000_000, 'stacked');
+    expect(payoutOf(result, 'b')).toBeCloseTo((5_000_000 * 15) / 17, 0);
+    expect(payoutOf(result, 'bridge')).toBeCloseTo((5_000_000 * 2) / 17, 0);
+    expect(payoutOf(result, 'a')).toBe(0);
+    expect(result.founders).toBe(0);
+  });
+
+  it('pays every preference pro rata when pari passu', () => {
+    const result = exitWaterfall(capTable, 5_000_000, 'pari');
+    const owed = 1_500_000 + 5_000_000 + 15_000_000 + 2_000_000;
+    expect(payoutOf(result, 'seed')).toBeCloseTo((5_000_000 * 1_500_000) / owed, 0);
+    expect(payoutOf(result, 'a')).toBeCloseTo((5_000_000 * 5_000_000) / owed, 0);
+    expect(payoutOf(result, 'b')).toBeCloseTo((5_000_000 * 15_000_000) / owed, 0);
+    expect(payoutOf(result, 'bridge')).toBeCloseTo((5_000_000 * 2_000_000) / owed, 0);
+  });
+
+  it('pays out exactly the sale price', () => {
+    for (const exitValue of [5_000_000, 30_000_000, 500_000_000]) {
+      for (const seniority of ['stacked', 'pari']) {
+        expect(totalOf(exitWaterfall(capTable, exitValue, seniority))).toBeCloseTo(exitValue, 0);
+      }
+    }
+  });
+});